@@ -0,0 +1,37 @@
+const { buildCascadeGraph } = require('../src/cascade');
+
+function resourceChange(logicalResourceId, replacement, details) {
+  return { Type: 'Resource', ResourceChange: { Action: 'Modify', LogicalResourceId: logicalResourceId, ResourceType: 'AWS::Test::Resource', Replacement: replacement, Details: details } };
+}
+
+function causedBy(causingEntity, name, changeSource = 'ResourceAttribute') {
+  return { Target: { Attribute: 'Properties', Name: name }, ChangeSource: changeSource, CausingEntity: causingEntity };
+}
+
+const directEdit = { Target: { Attribute: 'Properties', Name: 'Name' }, ChangeSource: 'DirectModification' };
+
+describe('buildCascadeGraph', () => {
+  test('follows a replacement to the resources that reference it', () => {
+    const graph = buildCascadeGraph([
+      resourceChange('Role', 'True', [directEdit, causedBy('Version', 'RoleName', 'ParameterReference')]),
+      resourceChange('Function', 'False', [causedBy('Role.Arn', 'Role')]),
+      resourceChange('Alias', 'False', [causedBy('Function.Arn', 'FunctionName')])
+    ]);
+
+    expect(graph.roots).toEqual(['Parameter:Version']);
+    expect(graph.edges.map(edge => [edge.from, edge.to, edge.properties])).toEqual([
+      ['Parameter:Version', 'Role', ['RoleName']],
+      ['Role', 'Function', ['Role']],
+      ['Function', 'Alias', ['FunctionName']]
+    ]);
+    expect(graph.directlyEdited).toEqual(['Role']);
+  });
+
+  test('leaves out cascades that no replacement starts', () => {
+    expect(buildCascadeGraph([
+      resourceChange('Role', 'False', [directEdit]),
+      resourceChange('Function', 'False', [causedBy('Role.Arn', 'Role')])
+    ])).toBeNull();
+    expect(buildCascadeGraph([resourceChange('Role', 'True', [directEdit])])).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+const core = require('@actions/core');
+const { selectChangeSet, readChangesetMatch } = require('../src/changeset-selection');
+
+const day = number => new Date(Date.UTC(2026, 0, number)).toISOString();
+
+const summaries = [
+  { ChangeSetName: 'older', Status: 'CREATE_COMPLETE', ExecutionStatus: 'AVAILABLE', CreationTime: day(1), Description: 'Created by cfn-changeset-reporter commit=1a2b3c4d5e6f pr=42 run=7' },
+  { ChangeSetName: 'empty', Status: 'FAILED', StatusReason: "The submitted information didn't contain changes.", ExecutionStatus: 'UNAVAILABLE', CreationTime: day(2) },
+  { ChangeSetName: 'newest', Status: 'CREATE_COMPLETE', ExecutionStatus: 'AVAILABLE', CreationTime: day(3), Description: 'Created by cfn-changeset-reporter commit=9f8e7d6c5b4a pr=43 run=8' },
+  { ChangeSetName: 'broken', Status: 'FAILED', StatusReason: 'Template format error', ExecutionStatus: 'UNAVAILABLE', CreationTime: day(4) },
+  { ChangeSetName: 'executed', Status: 'CREATE_COMPLETE', ExecutionStatus: 'EXECUTE_COMPLETE', CreationTime: day(5) },
+  { ChangeSetName: 'obsolete', Status: 'CREATE_COMPLETE', ExecutionStatus: 'OBSOLETE', CreationTime: day(6) }
+];
+
+const tags = {
+  older: [{ Key: 'commit', Value: '1a2b3c4d5e6f' }],
+  newest: [{ Key: 'commit', Value: '9f8e7d6c5b4a' }]
+};
+
+function mockCloudFormation() {
+  return {
+    describeChangeSet: jest.fn(async ({ ChangeSetName }) => ({ ChangeSetName, Tags: tags[ChangeSetName] }))
+  };
+}
+
+const pullRequestContext = { sha: 'merge', runId: 9, payload: { pull_request: { number: 42, head: { sha: '1a2b3c4d5e6f' } } } };
+const pushContext = { sha: '9f8e7d6c5b4a', runId: 9, payload: {} };
+
+describe('selectChangeSet', () => {
+  beforeEach(() => jest.spyOn(core, 'debug').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('picks the newest changeset that can still be reported on', async () => {
+    const cloudformation = mockCloudFormation();
+
+    expect((await selectChangeSet(cloudformation, 'app', summaries, null)).ChangeSetName).toBe('newest');
+    expect(cloudformation.describeChangeSet).not.toHaveBeenCalled();
+  });
+
+  test('keeps changesets that only failed for having no changes', async () => {
+    const selected = await selectChangeSet(mockCloudFormation(), 'app', summaries.filter(summary => summary.ChangeSetName !== 'newest'), null);
+
+    expect(selected.ChangeSetName).toBe('empty');
+  });
+
+  test('matches the description or the name', async () => {
+    const byDescription = { field: 'description', pattern: '*commit=1a2b3c4d5e6f*' };
+    const byName = { field: 'name', pattern: 'EMP?Y' };
+
+    expect((await selectChangeSet(mockCloudFormation(), 'app', summaries, byDescription)).ChangeSetName).toBe('older');
+    expect((await selectChangeSet(mockCloudFormation(), 'app', summaries, byName)).ChangeSetName).toBe('empty');
+  });
+
+  test('describes the candidates to match a tag, newest first', async () => {
+    const cloudformation = mockCloudFormation();
+    const selected = await selectChangeSet(cloudformation, 'app', summaries, { field: 'tag', key: 'commit', pattern: '1a2b3c4*' });
+
+    expect(selected.ChangeSetName).toBe('older');
+    expect(cloudformation.describeChangeSet.mock.calls.map(([params]) => params.ChangeSetName)).toEqual(['newest', 'empty', 'older']);
+  });
+
+  test('returns null when nothing matches', async () => {
+    expect(await selectChangeSet(mockCloudFormation(), 'app', summaries, { field: 'name', pattern: 'executed' })).toBeNull();
+    expect(await selectChangeSet(mockCloudFormation(), 'app', [], null)).toBeNull();
+  });
+});
+
+describe('readChangesetMatch', () => {
+  afterEach(() => {
+    delete process.env['INPUT_CHANGESET-MATCH'];
+  });
+
+  const read = (input, context) => {
+    process.env['INPUT_CHANGESET-MATCH'] = input;
+    return readChangesetMatch(context);
+  };
+
+  test('returns null when the input is not set', () => {
+    expect(read('', pushContext)).toBeNull();
+  });
+
+  test('fills in the commit and pull request placeholders', () => {
+    expect(read('description:*commit={sha}* pr={pr}', pullRequestContext)).toEqual({
+      field: 'description',
+      key: undefined,
+      pattern: '*commit=1a2b3c4d5e6f* pr=42',
+      provenance: null,
+      description: "description '*commit=1a2b3c4d5e6f* pr=42'"
+    });
+    expect(read('name:commit-{short-sha}', pushContext).pattern).toBe('commit-9f8e7d6');
+  });
+
+  test('gives tag patterns with the commit in them a provenance', () => {
+    expect(read('tag:commit={sha}', pullRequestContext)).toMatchObject({
+      field: 'tag',
+      key: 'commit',
+      pattern: '1a2b3c4d5e6f',
+      provenance: { commit: '1a2b3c4d5e6f', pullRequest: null, runId: null }
+    });
+    expect(read('tag:build={short-sha}-{pr}', pullRequestContext).provenance).toEqual({ commit: '1a2b3c4d5e6f', pullRequest: 42, runId: null });
+    expect(read('tag:team=platform', pullRequestContext).provenance).toBeNull();
+  });
+
+  test('rejects unknown fields, tags without a key and {pr} outside of pull requests', () => {
+    expect(() => read('title:*', pushContext)).toThrow("Input changeset-match must start with one of description:, name:, tag:, got 'title:*'");
+    expect(() => read('tag:commit', pushContext)).toThrow('Input changeset-match must be tag:<key>=<pattern> to match a tag');
+    expect(() => read('name:pr-{pr}-*', pushContext)).toThrow("Input changeset-match uses {pr} but the action isn't running for a pull request");
+  });
+});
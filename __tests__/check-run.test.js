@@ -0,0 +1,89 @@
+const core = require('@actions/core');
+const { createDisplay } = require('../src/display');
+const { buildFileResult } = require('../src/changeset');
+const { indexTemplateLines, createCheckRuns } = require('../src/check-run');
+
+describe('indexTemplateLines', () => {
+  test('finds the resources and their properties in a YAML template with intrinsic function tags', () => {
+    const template = [
+      'AWSTemplateFormatVersion: "2010-09-09"',
+      'Parameters:',
+      '  Name:',
+      '    Type: String',
+      'Resources:',
+      '  Bucket:',
+      '    Type: AWS::S3::Bucket',
+      '    Properties:',
+      '      BucketName: !Ref Name',
+      '      Tags:',
+      '        - Key: team',
+      '          Value: platform',
+      '  Queue:',
+      '    Type: AWS::SQS::Queue',
+      '    Properties:',
+      '      QueueName: !Sub "${Name}-queue"'
+    ].join('\n');
+    const { resourcesLine, resources } = indexTemplateLines(template);
+
+    expect(resourcesLine).toBe(5);
+    expect(resources.get('Bucket')).toEqual({ line: 6, properties: new Map([['BucketName', 9], ['Tags', 10]]) });
+    expect(resources.get('Queue')).toEqual({ line: 13, properties: new Map([['QueueName', 16]]) });
+  });
+
+  test('finds the resources in a JSON template', () => {
+    const template = JSON.stringify({
+      Resources: {
+        Table: { Type: 'AWS::DynamoDB::Table', Properties: { TableName: 'orders' } },
+        Topic: { Type: 'AWS::SNS::Topic' }
+      }
+    }, null, 2);
+    const { resourcesLine, resources } = indexTemplateLines(template);
+
+    expect(resourcesLine).toBe(2);
+    expect(resources.get('Table')).toEqual({ line: 3, properties: new Map([['TableName', 6]]) });
+    expect(resources.get('Topic')).toEqual({ line: 9, properties: new Map() });
+  });
+
+  test('falls back to the first line without a Resources section', () => {
+    expect(indexTemplateLines('Parameters:\n  Name:\n    Type: String\n')).toEqual({ resourcesLine: 1, resources: new Map() });
+  });
+});
+
+describe('createCheckRuns', () => {
+  const context = { repo: { owner: 'acme', repo: 'infra' }, serverUrl: 'https://github.com', runId: 7, sha: 'abc1234', payload: {} };
+  const display = createDisplay({ color: false });
+
+  beforeEach(() => {
+    jest.spyOn(core, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fails the check run of a stack whose changeset couldn\'t be fetched', async () => {
+    const create = jest.fn().mockResolvedValue({ data: { id: 1 } });
+    const octokit = { rest: { checks: { create, update: jest.fn() } } };
+    const reported = buildFileResult({
+      StackName: 'app',
+      ChangeSetName: 'pr-1',
+      Status: 'CREATE_COMPLETE',
+      Changes: [{ Type: 'Resource', ResourceChange: { Action: 'Add', LogicalResourceId: 'Queue', ResourceType: 'AWS::SQS::Queue', Details: [] } }]
+    }, [], [], undefined, display);
+    const errored = {
+      ...reported,
+      stackName: 'broken',
+      changeset: { StackName: 'broken', Status: 'ERROR', Changes: [] },
+      error: 'Stack [broken] does not exist',
+      errorStep: 'fetch'
+    };
+
+    await createCheckRuns(octokit, context, [reported, errored], { templates: [], display });
+
+    expect(create.mock.calls.map(([request]) => [request.name, request.conclusion, request.output.title])).toEqual([
+      ['CloudFormation: app', 'success', '1 change(s), no removals or replacements'],
+      ['CloudFormation: broken', 'failure', 'Failed to fetch the changeset']
+    ]);
+    expect(create.mock.calls[1][0].output.summary).toContain('**Failed to fetch the changeset:** Stack [broken] does not exist');
+  });
+});
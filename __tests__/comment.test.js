@@ -0,0 +1,227 @@
+const core = require('@actions/core');
+const { createDisplay } = require('../src/display');
+const {
+  parseCommentBody,
+  renderCommentBody,
+  buildCommentBody,
+  previousSnapshot,
+  compareSnapshots
+} = require('../src/comment');
+
+const header = '<!-- CloudFormation ChangeSets Report -->\n# CloudFormation Changeset Report\n';
+
+const account = '111111111111';
+
+function section(stack, accountId, region, sha, content) {
+  return { stack, accountId, region, sha, content };
+}
+
+function markers(stack, accountId, region, sha, content) {
+  const attributes = `stack=${stack}${accountId ? ` account=${accountId}` : ''} region=${region}`;
+  return `<!-- cfn-changeset-reporter:start ${attributes} sha=${sha} -->\n${content}\n<!-- cfn-changeset-reporter:end ${attributes} -->`;
+}
+
+describe('parseCommentBody and renderCommentBody', () => {
+  test('round-trip the header and sections, sorted by stack, account and region', () => {
+    const sections = new Map([
+      [`web ${account} us-east-1`, section('web', account, 'us-east-1', 'abc', '## Stack: `web`')],
+      [`app ${account} us-east-1`, section('app', account, 'us-east-1', 'def', '## Stack: `app`\n\nNo changes')],
+      ['app 222222222222 eu-west-1', section('app', '222222222222', 'eu-west-1', 'abc', '## Stack: `app`')],
+      [`app ${account} eu-west-1`, section('app', account, 'eu-west-1', 'abc', '## Stack: `app`')]
+    ]);
+    const body = renderCommentBody(header, sections);
+
+    expect(body).toBe([
+      header.trimEnd(),
+      markers('app', account, 'eu-west-1', 'abc', '## Stack: `app`'),
+      markers('app', account, 'us-east-1', 'def', '## Stack: `app`\n\nNo changes'),
+      markers('app', '222222222222', 'eu-west-1', 'abc', '## Stack: `app`'),
+      markers('web', account, 'us-east-1', 'abc', '## Stack: `web`')
+    ].join('\n\n'));
+
+    const parsed = parseCommentBody(body);
+    expect(parsed.header).toBe(`${header.trimEnd()}\n\n`);
+    expect([...parsed.sections.entries()].sort()).toEqual([...sections.entries()].sort());
+  });
+
+  test('read sections with Windows line endings', () => {
+    const body = `# Report\r\n\r\n${markers('app', account, 'us-east-1', 'abc', 'old').replace(/\n/g, '\r\n')}`;
+
+    expect(parseCommentBody(body).sections).toEqual(new Map([
+      [`app ${account} us-east-1`, section('app', account, 'us-east-1', 'abc', 'old')]
+    ]));
+  });
+
+  test('end a section without an end marker at the next section', () => {
+    const body = [
+      `<!-- cfn-changeset-reporter:start stack=app account=${account} region=us-east-1 sha=abc -->`,
+      'truncated',
+      markers('web', account, 'us-east-1', 'abc', 'web')
+    ].join('\n');
+    const { sections } = parseCommentBody(body);
+
+    expect(sections.get(`app ${account} us-east-1`).content).toBe('truncated');
+    expect(sections.get(`web ${account} us-east-1`).content).toBe('web');
+  });
+
+  test('read the single marker sections used to start with', () => {
+    const body = '# Report\n\n<!-- CloudFormation ChangeSets for stack: app -->\nold report\n\n<!-- CloudFormation ChangeSets for stack: web -->\nother report';
+    const { header: parsedHeader, sections } = parseCommentBody(body);
+
+    expect(parsedHeader).toBe('# Report\n\n');
+    expect(sections.get('app  ')).toEqual(section('app', '', '', '', 'old report'));
+    expect(sections.get('web  ')).toEqual(section('web', '', '', '', 'other report'));
+  });
+
+  test('read the sections written before accounts were labelled', () => {
+    const body = [header.trimEnd(), markers('app', '', 'us-east-1', 'abc', 'old')].join('\n\n');
+    const { sections } = parseCommentBody(body);
+
+    expect(sections.get('app  us-east-1')).toEqual(section('app', '', 'us-east-1', 'abc', 'old'));
+    expect(renderCommentBody(header, sections)).toBe(body);
+  });
+});
+
+describe('previousSnapshot', () => {
+  const changes = [['Queue', 'AWS::SQS::Queue', 'added', 'none']];
+  const withSnapshot = (sha, snapshot) => section('app', account, 'us-east-1', sha, `## Stack: \`app\`\n\n<!-- cfn-changeset-reporter:snapshot ${snapshot} -->`);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('compares with the snapshot of an earlier commit', () => {
+    expect(previousSnapshot(withSnapshot('old', JSON.stringify({ changes })), 'head')).toEqual({ sha: 'old', changes });
+  });
+
+  test('keeps comparing with the same baseline when rerun for the same commit', () => {
+    const base = { sha: 'older', changes };
+
+    expect(previousSnapshot(withSnapshot('head', JSON.stringify({ changes: [], base })), 'head')).toEqual(base);
+    expect(previousSnapshot(withSnapshot('head', JSON.stringify({ changes })), 'head')).toBeNull();
+  });
+
+  test('ignores missing, unreadable and hand-edited snapshots', () => {
+    jest.spyOn(core, 'debug').mockImplementation(() => {});
+
+    expect(previousSnapshot(undefined, 'head')).toBeNull();
+    expect(previousSnapshot(section('app', account, 'us-east-1', 'old', 'no snapshot'), 'head')).toBeNull();
+    expect(previousSnapshot(withSnapshot('old', '{"changes": ['), 'head')).toBeNull();
+    expect(previousSnapshot(withSnapshot('old', 'null'), 'head')).toBeNull();
+    expect(previousSnapshot(withSnapshot('old', '{"changes": {"Queue": "added"}}'), 'head')).toBeNull();
+    expect(previousSnapshot(withSnapshot('old', '{"changes": [1, 2]}'), 'head')).toBeNull();
+    expect(previousSnapshot(withSnapshot('head', '{"changes": [], "base": {"sha": "older", "changes": "none"}}'), 'head')).toBeNull();
+    expect(core.debug).toHaveBeenCalledWith(expect.stringContaining('Ignoring unreadable snapshot in the section for stack app'));
+  });
+});
+
+describe('compareSnapshots', () => {
+  test('lists added, resolved and escalated changes', () => {
+    const baseline = {
+      sha: 'old',
+      changes: [
+        ['Function', 'AWS::Lambda::Function', 'modified', 'none'],
+        ['Table', 'AWS::DynamoDB::Table', 'replaced', 'medium'],
+        ['Bucket', 'AWS::S3::Bucket', 'removed', 'high'],
+        ['Topic', 'AWS::SNS::Topic', 'replaced', 'none']
+      ]
+    };
+    const changes = [
+      ['Function', 'AWS::Lambda::Function', 'replaced', 'none'],
+      ['Table', 'AWS::DynamoDB::Table', 'replaced', 'high'],
+      ['Topic', 'AWS::SNS::Topic', 'modified', 'none'],
+      ['Queue', 'AWS::SQS::Queue', 'added', 'none']
+    ];
+    const entry = ([logicalResourceId, resourceType, category, dataLossRisk]) => ({ logicalResourceId, resourceType, category, dataLossRisk });
+
+    expect(compareSnapshots(baseline, changes)).toEqual({
+      sha: 'old',
+      added: [entry(changes[3])],
+      resolved: [entry(baseline.changes[2])],
+      escalated: [
+        { ...entry(changes[0]), previous: entry(baseline.changes[0]) },
+        { ...entry(changes[1]), previous: entry(baseline.changes[1]) }
+      ]
+    });
+  });
+
+  test('ranks categories it doesn\'t know as the least severe', () => {
+    const baseline = { sha: 'old', changes: [['Function', 'AWS::Lambda::Function', 'renamed', 'none']] };
+
+    expect(compareSnapshots(baseline, [['Function', 'AWS::Lambda::Function', 'modified', 'none']]).escalated).toHaveLength(1);
+  });
+});
+
+describe('buildCommentBody', () => {
+  const result = stackName => ({
+    stackName,
+    changeset: { StackName: stackName, ChangeSetName: 'pr-1-new', Status: 'CREATE_COMPLETE', Changes: [] },
+    violations: []
+  });
+  const entry = stack => ({ result: result(stack), stack, accountId: account, region: 'us-east-1', key: `${stack} ${account} us-east-1` });
+  const options = { owned: ['app-*'], headSha: 'new1234', runUrl: 'https://github.com/o/r/actions/runs/1', display: createDisplay() };
+
+  beforeEach(() => {
+    jest.spyOn(core, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('drops this run\'s stale sections and keeps other jobs\' sections marked with their commit', () => {
+    const baseBody = [
+      header,
+      markers('app-old', account, 'us-east-1', 'old5678', '## Stack: `app-old`'),
+      markers('network', account, 'us-east-1', 'old5678', '## Stack: `network`\n\nNo changes'),
+      markers('web', account, 'us-east-1', 'new1234', '## Stack: `web`')
+    ].join('\n\n');
+
+    const { sections } = parseCommentBody(buildCommentBody(baseBody, [entry('app-api')], options));
+
+    expect([...sections.keys()].sort()).toEqual([`app-api ${account} us-east-1`, `network ${account} us-east-1`, `web ${account} us-east-1`]);
+    expect(sections.get(`app-api ${account} us-east-1`).sha).toBe('new1234');
+    expect(sections.get(`network ${account} us-east-1`)).toEqual(section('network', account, 'us-east-1', 'old5678',
+      '## Stack: `network`\n\n> 🕓 From `old5678`, this stack hasn\'t been reported for the latest commit yet <!-- cfn-changeset-reporter:outdated -->\n\nNo changes'));
+    expect(sections.get(`web ${account} us-east-1`).content).toBe('## Stack: `web`');
+    expect(core.info).toHaveBeenCalledWith('Removing stale section for stack app-old from the PR comment');
+  });
+
+  test('replaces this run\'s sections written before accounts were labelled', () => {
+    const baseBody = [header, markers('app-api', '', 'us-east-1', 'new1234', '## Stack: `app-api`\n\nold')].join('\n\n');
+
+    const { sections } = parseCommentBody(buildCommentBody(baseBody, [entry('app-api')], options));
+
+    expect([...sections.keys()]).toEqual([`app-api ${account} us-east-1`]);
+  });
+
+  test('marks another job\'s section only once across runs', () => {
+    const baseBody = [header, markers('network', account, 'us-east-1', 'old5678', '## Stack: `network`')].join('\n\n');
+
+    const once = buildCommentBody(baseBody, [entry('app-api')], options);
+    const twice = buildCommentBody(once, [entry('app-api')], { ...options, headSha: 'next999' });
+
+    expect(parseCommentBody(twice).sections.get(`network ${account} us-east-1`).content).toBe(
+      '## Stack: `network`\n\n> 🕓 From `old5678`, this stack hasn\'t been reported for the latest commit yet <!-- cfn-changeset-reporter:outdated -->'
+    );
+  });
+
+  test('shows what changed since the stack\'s section for the previous commit', () => {
+    const snapshot = '<!-- cfn-changeset-reporter:snapshot {"changes":[["Queue","AWS::SQS::Queue","added","none"]]} -->';
+    const baseBody = [header, markers('app-api', account, 'us-east-1', 'old5678', `## Stack: \`app-api\`\n\n${snapshot}`)].join('\n\n');
+
+    const { content } = parseCommentBody(buildCommentBody(baseBody, [entry('app-api')], options)).sections.get(`app-api ${account} us-east-1`);
+
+    expect(content).toContain('Since Previous Commit (old5678)');
+    expect(content).toContain('**Resolved:** `Queue` (AWS::SQS::Queue)');
+    expect(previousSnapshot({ stack: 'app-api', sha: 'new1234', content }, 'new1234')).toEqual({ sha: 'old5678', changes: [['Queue', 'AWS::SQS::Queue', 'added', 'none']] });
+  });
+
+  test('points to the job summary when the comment has to be cut off', () => {
+    jest.spyOn(core, 'warning').mockImplementation(() => {});
+    const baseBody = [header, markers('network', account, 'us-east-1', 'new1234', `## Stack: \`network\`\n\n${'x'.repeat(70000)}`)].join('\n\n');
+
+    const body = buildCommentBody(baseBody, [entry('app-api')], options);
+
+    expect(body).toHaveLength(65000);
+    expect(body.endsWith('⚠️ **Report truncated** - the full report is in the job summary of the [workflow run](https://github.com/o/r/actions/runs/1).')).toBe(true);
+  });
+});
@@ -0,0 +1,94 @@
+const { loadIgnoreRules } = require('../src/suppress');
+const { rateDataLossRisk, statefulResourceTypes } = require('../src/data-loss');
+const { buildFileResult } = require('../src/changeset');
+
+const statefulTypes = statefulResourceTypes('');
+
+function resource(logicalResourceId, resourceType, action, replacement = 'False', extra = {}) {
+  return { LogicalResourceId: logicalResourceId, ResourceType: resourceType, Action: action, Replacement: replacement, ...extra };
+}
+
+describe('rateDataLossRisk', () => {
+  test('rates changes that neither remove nor replace the resource as none', () => {
+    expect(rateDataLossRisk(resource('Table', 'AWS::DynamoDB::Table', 'Modify'), {}, statefulTypes))
+      .toEqual({ level: 'none', stateful: true, policy: null, policySource: null, reason: null });
+  });
+
+  test('rates deleting a stateful resource without a policy as high', () => {
+    expect(rateDataLossRisk(resource('Bucket', 'AWS::S3::Bucket', 'Remove'), {}, statefulTypes)).toEqual({
+      level: 'high',
+      stateful: true,
+      policy: 'Delete',
+      policySource: 'default',
+      reason: 'the resource and its data are permanently deleted (no DeletionPolicy, CloudFormation defaults to Delete)'
+    });
+  });
+
+  test('uses CloudFormation\'s snapshot default for database removals', () => {
+    const rating = rateDataLossRisk(resource('Database', 'AWS::RDS::DBInstance', 'Remove'), {}, statefulTypes);
+
+    expect(rating).toMatchObject({ level: 'medium', policy: 'Snapshot', policySource: 'default' });
+  });
+
+  test('reads the DeletionPolicy of removals from the deployed template', () => {
+    const policies = { deployed: { Bucket: { DeletionPolicy: 'Retain' } }, planned: { Bucket: { DeletionPolicy: 'Delete' } } };
+
+    expect(rateDataLossRisk(resource('Bucket', 'AWS::S3::Bucket', 'Remove'), policies, statefulTypes))
+      .toMatchObject({ level: 'low', policy: 'Retain', policySource: 'template' });
+  });
+
+  test('reads the UpdateReplacePolicy of replacements from the changeset\'s template first', () => {
+    const policies = { deployed: { Table: { UpdateReplacePolicy: 'Delete' } }, planned: { Table: { UpdateReplacePolicy: 'RetainExceptOnCreate' } } };
+
+    expect(rateDataLossRisk(resource('Table', 'AWS::DynamoDB::Table', 'Modify', 'True'), policies, statefulTypes))
+      .toMatchObject({ level: 'low', policy: 'Retain', policySource: 'template' });
+  });
+
+  test('prefers the changeset\'s PolicyAction over the templates', () => {
+    const policies = { planned: { Table: { UpdateReplacePolicy: 'Retain' } } };
+
+    expect(rateDataLossRisk(resource('Table', 'AWS::DynamoDB::Table', 'Modify', 'True', { PolicyAction: 'ReplaceAndSnapshot' }), policies, statefulTypes))
+      .toMatchObject({ level: 'medium', policy: 'Snapshot', policySource: 'changeset' });
+  });
+
+  test('rates conditional replacements of stateful resources as medium', () => {
+    expect(rateDataLossRisk(resource('Table', 'AWS::DynamoDB::Table', 'Modify', 'Conditional'), {}, statefulTypes))
+      .toMatchObject({ level: 'medium', policy: 'Delete' });
+  });
+
+  test('rates resources that aren\'t stateful as low', () => {
+    const rating = rateDataLossRisk(resource('Topic', 'AWS::SNS::Topic', 'Remove'), {}, statefulTypes);
+
+    expect(rating).toMatchObject({ level: 'low', stateful: false });
+    expect(rating.reason).toContain("AWS::SNS::Topic isn't a stateful resource type");
+  });
+
+  test('treats extra stateful types as stateful', () => {
+    expect(rateDataLossRisk(resource('Topic', 'AWS::SNS::Topic', 'Remove'), {}, statefulResourceTypes('AWS::SNS::*')))
+      .toMatchObject({ level: 'high', stateful: true });
+  });
+});
+
+describe('buildFileResult', () => {
+  test('rates a replacement again once the property change that caused it is suppressed', () => {
+    const changeset = {
+      StackName: 'app',
+      ChangeSetName: 'pr-42',
+      Status: 'CREATE_COMPLETE',
+      Changes: [{
+        Type: 'Resource',
+        ResourceChange: resource('Table', 'AWS::DynamoDB::Table', 'Modify', 'True', {
+          Details: [
+            { Target: { Attribute: 'Properties', Name: 'TableName', RequiresRecreation: 'Always' }, Evaluation: 'Static', ChangeSource: 'DirectModification' },
+            { Target: { Attribute: 'Properties', Name: 'BillingMode', RequiresRecreation: 'Never' }, Evaluation: 'Static', ChangeSource: 'DirectModification' }
+          ]
+        })
+      }]
+    };
+
+    const result = buildFileResult(changeset, [], loadIgnoreRules('- property: TableName', ''), statefulTypes);
+
+    expect(result.unfilteredChangeset.Changes[0].ResourceChange.DataLossRisk.level).toBe('high');
+    expect(result.changeset.Changes[0].ResourceChange).toMatchObject({ Replacement: 'False', DataLossRisk: { level: 'none' } });
+  });
+});
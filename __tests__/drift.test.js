@@ -0,0 +1,53 @@
+const { reconcileDrift } = require('../src/drift');
+
+function resource(action, replacement, changedProperties = []) {
+  return {
+    LogicalResourceId: 'Function',
+    ResourceType: 'AWS::Lambda::Function',
+    Action: action,
+    Replacement: replacement,
+    Details: changedProperties.map(name => ({ Target: { Attribute: 'Properties', Name: name } }))
+  };
+}
+
+const drifted = {
+  logicalResourceId: 'Function',
+  status: 'MODIFIED',
+  properties: [
+    { path: '/Timeout', differenceType: 'NOT_EQUAL' },
+    { path: '/Tags/0/Value', differenceType: 'NOT_EQUAL' }
+  ]
+};
+
+describe('reconcileDrift', () => {
+  test('reconciles every drifted property the change sets', () => {
+    expect(reconcileDrift(resource('Modify', 'False', ['Timeout', 'Tags']), drifted)).toEqual({
+      status: 'MODIFIED',
+      outcome: 'reconciled',
+      properties: [
+        { path: '/Timeout', differenceType: 'NOT_EQUAL', reconciled: true },
+        { path: '/Tags/0/Value', differenceType: 'NOT_EQUAL', reconciled: true }
+      ]
+    });
+  });
+
+  test('keeps the drifted properties the change doesn\'t set', () => {
+    const partial = reconcileDrift(resource('Modify', 'False', ['Timeout']), drifted);
+
+    expect(partial.outcome).toBe('partial');
+    expect(partial.properties.map(property => property.reconciled)).toEqual([true, false]);
+    expect(reconcileDrift(resource('Modify', 'False', ['MemorySize']), drifted).outcome).toBe('kept');
+  });
+
+  test('reconciles every property of a replaced resource', () => {
+    const replaced = reconcileDrift(resource('Modify', 'True', ['FunctionName']), drifted);
+
+    expect(replaced.outcome).toBe('reconciled');
+    expect(replaced.properties.every(property => property.reconciled)).toBe(true);
+  });
+
+  test('reports removed and deleted resources', () => {
+    expect(reconcileDrift(resource('Remove'), drifted).outcome).toBe('removed');
+    expect(reconcileDrift(resource('Modify', 'False', ['Timeout']), { ...drifted, status: 'DELETED', properties: [] }).outcome).toBe('missing');
+  });
+});
@@ -0,0 +1,215 @@
+const http = require('http');
+const core = require('@actions/core');
+const { createDisplay } = require('../src/display');
+const { loadPolicy } = require('../src/policy');
+const { buildFileResult } = require('../src/changeset');
+const {
+  readNotifyOptions,
+  notificationReasons,
+  sendNotifications,
+  postJson,
+  buildSlackMessage
+} = require('../src/notify');
+
+const display = createDisplay({ color: false });
+const context = {
+  repo: { owner: 'acme', repo: 'infra' },
+  serverUrl: 'https://github.com',
+  runId: 7,
+  payload: { pull_request: { number: 42, title: 'Resize the database', html_url: 'https://github.com/acme/infra/pull/42' } }
+};
+
+function resourceChange(logicalResourceId, resourceType, action, replacement = 'False') {
+  return { Type: 'Resource', ResourceChange: { Action: action, LogicalResourceId: logicalResourceId, ResourceType: resourceType, Replacement: replacement, Details: [] } };
+}
+
+function stackResult(stackName, changes, policyRules = []) {
+  return buildFileResult({
+    StackId: `arn:aws:cloudformation:us-east-1:123456789012:stack/${stackName}/abc`,
+    StackName: stackName,
+    ChangeSetName: 'pr-42-1a2b3c4',
+    Status: 'CREATE_COMPLETE',
+    Changes: changes
+  }, policyRules, [], undefined, display);
+}
+
+const NOTIFY_INPUTS = ['slack-webhook-url', 'teams-webhook-url', 'webhook-url', 'notify-min-removals', 'notify-min-replacements', 'notify-on-policy', 'notify-timeout'];
+
+function setInputs(inputs) {
+  NOTIFY_INPUTS.forEach(name => delete process.env[`INPUT_${name.toUpperCase()}`]);
+  Object.entries(inputs).forEach(([name, value]) => {
+    process.env[`INPUT_${name.toUpperCase()}`] = value;
+  });
+}
+
+describe('notifications', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+        // A webhook that never answers
+        if (req.url === '/hanging') return;
+        res.statusCode = req.url === '/broken' ? 500 : 200;
+        res.end(req.url === '/broken' ? 'no thanks' : 'ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  beforeEach(() => {
+    requests = [];
+    jest.spyOn(core, 'info').mockImplementation(() => {});
+    jest.spyOn(core, 'warning').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setInputs({});
+  });
+
+  test('readNotifyOptions returns null without any webhook URL', () => {
+    setInputs({ 'notify-min-removals': '3' });
+    expect(readNotifyOptions()).toBeNull();
+  });
+
+  test('readNotifyOptions rejects unknown policy levels and negative thresholds', () => {
+    setInputs({ 'webhook-url': baseUrl, 'notify-on-policy': 'sometimes' });
+    expect(() => readNotifyOptions()).toThrow("Input notify-on-policy must be one of fail, warn, never, got 'sometimes'");
+
+    setInputs({ 'webhook-url': baseUrl, 'notify-min-removals': '-1' });
+    expect(() => readNotifyOptions()).toThrow("Input notify-min-removals must be a whole number, got '-1'");
+
+    setInputs({ 'webhook-url': baseUrl, 'notify-timeout': 'soon' });
+    expect(() => readNotifyOptions()).toThrow("Input notify-timeout must be a number of seconds, got 'soon'");
+  });
+
+  test('readNotifyOptions waits 10 seconds for a webhook unless notify-timeout is set', () => {
+    setInputs({ 'webhook-url': baseUrl });
+    expect(readNotifyOptions().timeout).toBe(10);
+
+    setInputs({ 'webhook-url': baseUrl, 'notify-timeout': '2.5' });
+    expect(readNotifyOptions().timeout).toBe(2.5);
+  });
+
+  test('notificationReasons applies the thresholds', () => {
+    const result = stackResult('app', [
+      resourceChange('Queue', 'AWS::SQS::Queue', 'Remove'),
+      resourceChange('Topic', 'AWS::SNS::Topic', 'Modify', 'True')
+    ]);
+    const options = { removals: 1, replacements: 2, policy: 'fail' };
+
+    expect(notificationReasons(result, options)).toEqual(['1 removal(s)']);
+    expect(notificationReasons(result, { ...options, removals: 0, replacements: 1 })).toEqual(['1 replacement(s)']);
+    expect(notificationReasons(result, { ...options, removals: 2 })).toEqual([]);
+  });
+
+  test('notificationReasons counts policy failures, and warnings only with notify-on-policy warn', () => {
+    const policy = loadPolicy('- action: Remove\n  level: warn\n- resourceType: AWS::RDS::*\n  level: fail', '');
+    const result = stackResult('db', [
+      resourceChange('Database', 'AWS::RDS::DBInstance', 'Modify'),
+      resourceChange('Queue', 'AWS::SQS::Queue', 'Remove')
+    ], policy);
+    const options = { removals: 0, replacements: 0 };
+
+    expect(notificationReasons(result, { ...options, policy: 'fail' })).toEqual(['1 policy failure(s)']);
+    expect(notificationReasons(result, { ...options, policy: 'warn' })).toEqual(['1 policy failure(s)', '1 policy warning(s)']);
+    expect(notificationReasons(result, { ...options, policy: 'never' })).toEqual([]);
+  });
+
+  test('sendNotifications posts the Slack message and webhook payload for the stacks over the thresholds', async () => {
+    setInputs({ 'slack-webhook-url': `${baseUrl}/slack`, 'webhook-url': `${baseUrl}/webhook`, 'notify-min-replacements': '0' });
+    const results = [
+      stackResult('app', [resourceChange('Queue', 'AWS::SQS::Queue', 'Remove')]),
+      stackResult('web', [resourceChange('Topic', 'AWS::SNS::Topic', 'Modify', 'True')])
+    ];
+
+    await sendNotifications(results, readNotifyOptions(), context, display);
+
+    expect(core.warning).not.toHaveBeenCalled();
+    expect(requests.map(request => request.path)).toEqual(['/slack', '/webhook']);
+    requests.forEach(request => expect(request.contentType).toBe('application/json'));
+
+    const [slack, webhook] = requests.map(request => request.body);
+    expect(slack.text).toBe('CloudFormation changes need attention in acme/infra #42');
+    expect(slack.blocks.filter(block => block.type === 'section')).toHaveLength(1);
+    expect(slack.blocks.find(block => block.type === 'section').text.text).toContain('*app* (account 123456789012, us-east-1)');
+    expect(slack.blocks[slack.blocks.length - 1].elements[0].url).toBe('https://github.com/acme/infra/actions/runs/7');
+
+    expect(webhook).toMatchObject({
+      event: 'cfn-changeset-report',
+      repository: 'acme/infra',
+      runUrl: 'https://github.com/acme/infra/actions/runs/7',
+      pullRequest: { number: 42, title: 'Resize the database', url: 'https://github.com/acme/infra/pull/42' }
+    });
+    expect(webhook.stacks).toEqual([expect.objectContaining({
+      stack: 'app',
+      accountId: '123456789012',
+      region: 'us-east-1',
+      changeset: 'pr-42-1a2b3c4',
+      reasons: ['1 removal(s)'],
+      counts: expect.objectContaining({ removed: 1, total: 1 })
+    })]);
+    expect(webhook.stacks[0]).not.toHaveProperty('location');
+  });
+
+  test('sendNotifications posts nothing when no stack reaches a threshold', async () => {
+    setInputs({ 'webhook-url': `${baseUrl}/webhook`, 'notify-min-removals': '2' });
+
+    await sendNotifications([stackResult('app', [resourceChange('Queue', 'AWS::SQS::Queue', 'Remove')])], readNotifyOptions(), context, display);
+
+    expect(requests).toEqual([]);
+  });
+
+  test('sendNotifications warns instead of failing when a channel rejects the notification', async () => {
+    setInputs({ 'webhook-url': `${baseUrl}/broken` });
+
+    await sendNotifications([stackResult('app', [resourceChange('Queue', 'AWS::SQS::Queue', 'Remove')])], readNotifyOptions(), context, display);
+
+    expect(requests).toHaveLength(1);
+    expect(core.warning).toHaveBeenCalledWith('Failed to send the webhook notification: 500 Internal Server Error no thanks');
+  });
+
+  test('sendNotifications warns instead of failing when a channel doesn\'t answer in time or can\'t be reached', async () => {
+    setInputs({ 'slack-webhook-url': `${baseUrl}/hanging`, 'webhook-url': 'http://127.0.0.1:1/webhook', 'notify-timeout': '0.2' });
+
+    await sendNotifications([stackResult('app', [resourceChange('Queue', 'AWS::SQS::Queue', 'Remove')])], readNotifyOptions(), context, display);
+
+    expect(requests.map(request => request.path)).toEqual(['/hanging']);
+    expect(core.warning).toHaveBeenCalledWith('Failed to send the slack notification: no response within 0.2 seconds');
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^Failed to send the webhook notification: /));
+  });
+
+  test('postJson rejects error responses', async () => {
+    await expect(postJson(`${baseUrl}/broken`, { ok: false })).rejects.toThrow('500 Internal Server Error no thanks');
+    await expect(postJson(`${baseUrl}/webhook`, { ok: true })).resolves.toBeUndefined();
+  });
+
+  test('buildSlackMessage stays within Slack\'s block limit', () => {
+    const stacks = Array.from({ length: 60 }, (_, i) => ({
+      stack: `stack-${i}`,
+      location: '',
+      changeset: 'cs',
+      status: 'CREATE_COMPLETE',
+      counts: { removed: 1 },
+      reasons: ['1 removal(s)'],
+      deploymentStatus: null
+    }));
+    const message = buildSlackMessage({ repository: 'acme/infra', runUrl: 'https://example.com/run', pullRequest: null, stacks }, display);
+
+    expect(message.blocks.length).toBeLessThanOrEqual(50);
+    expect(message.blocks.filter(block => block.type === 'section')).toHaveLength(45);
+    expect(message.blocks[message.blocks.length - 2].elements[0].text).toBe('+15 more stack(s), see the workflow run');
+  });
+});
@@ -0,0 +1,79 @@
+const { loadPolicy, evaluatePolicy } = require('../src/policy');
+
+function resourceChange(logicalResourceId, resourceType, action, replacement, details = []) {
+  return { Type: 'Resource', ResourceChange: { Action: action, LogicalResourceId: logicalResourceId, ResourceType: resourceType, Replacement: replacement, Details: details } };
+}
+
+const changeset = {
+  StackName: 'app',
+  ChangeSetName: 'pr-42-1a2b3c4',
+  Status: 'CREATE_COMPLETE',
+  Changes: [
+    resourceChange('Database', 'AWS::RDS::DBInstance', 'Modify', 'True', [
+      { Target: { Attribute: 'Properties', Name: 'DBName', RequiresRecreation: 'Always' }, Evaluation: 'Static', ChangeSource: 'DirectModification' }
+    ]),
+    resourceChange('ScratchBucket', 'AWS::S3::Bucket', 'Remove'),
+    resourceChange('Queue', 'AWS::SQS::Queue', 'Add'),
+    resourceChange('Vpc', 'AWS::EC2::VPC', 'Remove')
+  ]
+};
+
+describe('loadPolicy', () => {
+  test('reads a list of rules or a rules key and numbers them', () => {
+    expect(loadPolicy('- action: Remove\n  level: WARN', '')).toEqual([{ action: 'Remove', level: 'warn', index: 1 }]);
+    expect(loadPolicy('rules:\n  - action: Add\n    level: allow', '')).toEqual([{ action: 'Add', level: 'allow', index: 1 }]);
+    expect(loadPolicy('', '')).toEqual([]);
+  });
+
+  test('rejects rules without a level or conditions', () => {
+    expect(() => loadPolicy('- action: Remove\n  level: block', '')).toThrow("rule 1 has level 'block', expected one of");
+    expect(() => loadPolicy('- level: fail', '')).toThrow('rule 1 needs at least one of');
+    expect(() => loadPolicy('rules: oops', '')).toThrow("'rules' must be a list");
+  });
+});
+
+describe('evaluatePolicy', () => {
+  test('reports nothing without rules', () => {
+    expect(evaluatePolicy(changeset, [])).toEqual([]);
+  });
+
+  test('lets the first matching rule decide, so allow rules exempt resources from later rules', () => {
+    const rules = loadPolicy([
+      '- logicalResourceId: ScratchBucket',
+      '  level: allow',
+      '- action: Remove',
+      '  level: warn',
+      '- resourceType: AWS::RDS::*',
+      '  replacement: [True, Conditional]',
+      '  level: fail',
+      '  message: Databases must not be replaced'
+    ].join('\n'), '');
+
+    expect(evaluatePolicy(changeset, rules)).toEqual([
+      {
+        level: 'fail',
+        rule: 'rule 3',
+        message: 'Databases must not be replaced',
+        logicalResourceId: 'Database',
+        resourceType: 'AWS::RDS::DBInstance',
+        action: 'Modify',
+        replacement: 'True'
+      },
+      {
+        level: 'warn',
+        rule: 'rule 2',
+        message: 'Rule 2 (action=Remove)',
+        logicalResourceId: 'Vpc',
+        resourceType: 'AWS::EC2::VPC',
+        action: 'Remove',
+        replacement: 'N/A'
+      }
+    ]);
+  });
+
+  test('matches requiresRecreation against the property changes', () => {
+    const rules = loadPolicy('- requiresRecreation: Always\n  level: fail\n  name: no-recreation', '');
+
+    expect(evaluatePolicy(changeset, rules).map(violation => [violation.rule, violation.logicalResourceId])).toEqual([['no-recreation', 'Database']]);
+  });
+});
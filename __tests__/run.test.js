@@ -0,0 +1,108 @@
+jest.mock('@aws-sdk/client-cloudformation');
+
+const core = require('@actions/core');
+const { CloudFormation } = require('@aws-sdk/client-cloudformation');
+const { run } = require('../index');
+
+function mockInputs(inputs) {
+  jest.spyOn(core, 'getInput').mockImplementation(name => inputs[name] || '');
+}
+
+describe('run', () => {
+  beforeEach(() => {
+    ['debug', 'info', 'warning', 'setOutput', 'setFailed'].forEach(method => jest.spyOn(core, method).mockImplementation(() => {}));
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports on the other stacks when one changeset cannot be fetched, then fails the step', async () => {
+    CloudFormation.mockImplementation(() => ({
+      describeChangeSet: jest.fn(async ({ StackName }) => {
+        if (StackName === 'broken') throw new Error('Stack [broken] does not exist');
+        return { StackName, ChangeSetName: 'pr-1', Status: 'CREATE_COMPLETE', Changes: [] };
+      })
+    }));
+    mockInputs({ 'aws-region': 'us-east-1', 'stack-name': 'app, broken', 'changeset-name': 'pr-1', 'delete-changeset': 'false' });
+
+    await run();
+
+    const outputs = Object.fromEntries(core.setOutput.mock.calls);
+    expect(JSON.parse(outputs.stacks).map(stack => [stack.stack, stack.status])).toEqual([['app', 'CREATE_COMPLETE'], ['broken', 'ERROR']]);
+    expect(outputs.report).toContain('Failed to fetch the changeset: Stack [broken] does not exist');
+    expect(core.setFailed).toHaveBeenCalledTimes(1);
+    expect(core.setFailed).toHaveBeenCalledWith('Failed to report on stack broken (us-east-1): Stack [broken] does not exist');
+  });
+
+  test('replaces a changeset left over from an earlier run and reports the stacks whose changeset could not be created', async () => {
+    const existing = new Set(['app']);
+    const cloudformation = {
+      createChangeSet: jest.fn(async ({ StackName }) => {
+        if (StackName === 'broken') throw new Error('Template format error: unresolved resource dependencies');
+        if (existing.has(StackName)) throw Object.assign(new Error('ChangeSet pr-1 already exists'), { name: 'AlreadyExistsException' });
+        existing.add(StackName);
+      }),
+      deleteChangeSet: jest.fn(async ({ StackName }) => {
+        existing.delete(StackName);
+      }),
+      describeChangeSet: jest.fn(async ({ StackName }) => {
+        if (!existing.has(StackName)) throw Object.assign(new Error('ChangeSet pr-1 does not exist'), { name: 'ChangeSetNotFoundException' });
+        return { StackName, ChangeSetName: 'pr-1', Status: 'CREATE_COMPLETE', Changes: [] };
+      })
+    };
+    CloudFormation.mockImplementation(() => cloudformation);
+    mockInputs({
+      'aws-region': 'us-east-1',
+      'stack-name': 'app, broken',
+      'changeset-name': 'pr-1',
+      'changeset-type': 'UPDATE',
+      'template-url': 'https://bucket.s3.amazonaws.com/template.yaml',
+      'delete-changeset': 'false'
+    });
+
+    await run();
+
+    expect(cloudformation.deleteChangeSet).toHaveBeenCalledWith({ StackName: 'app', ChangeSetName: 'pr-1' });
+    expect(cloudformation.createChangeSet.mock.calls.filter(([params]) => params.StackName === 'app')).toHaveLength(2);
+    const outputs = Object.fromEntries(core.setOutput.mock.calls);
+    expect(JSON.parse(outputs.stacks).map(stack => [stack.stack, stack.status])).toEqual([['app', 'CREATE_COMPLETE'], ['broken', 'ERROR']]);
+    expect(outputs.report).toContain('Failed to create the changeset: Template format error');
+    expect(core.setFailed).toHaveBeenCalledWith('Failed to report on stack broken (us-east-1): Template format error: unresolved resource dependencies');
+  });
+
+  test('records a deployment that fails part way as FAILED and still deploys the other stacks', async () => {
+    const cloudformation = {
+      describeChangeSet: jest.fn(async ({ StackName }) => ({
+        StackName,
+        ChangeSetName: 'pr-1',
+        Status: 'CREATE_COMPLETE',
+        Changes: [{ Type: 'Resource', ResourceChange: { Action: 'Add', LogicalResourceId: 'Queue', ResourceType: 'AWS::SQS::Queue' } }]
+      })),
+      describeStackEvents: jest.fn(async () => ({ StackEvents: [] })),
+      executeChangeSet: jest.fn(async () => ({})),
+      describeStacks: jest.fn(async ({ StackName }) => ({
+        Stacks: StackName === 'gone' ? [] : [{ StackName, StackStatus: 'UPDATE_COMPLETE' }]
+      }))
+    };
+    CloudFormation.mockImplementation(() => cloudformation);
+    mockInputs({
+      'aws-region': 'us-east-1',
+      'stack-name': 'gone, app',
+      'changeset-name': 'pr-1',
+      'delete-changeset': 'false',
+      'execute-changeset': 'true',
+      'execute-condition': 'always',
+      'wait-interval': '1'
+    });
+
+    await run();
+
+    expect(cloudformation.executeChangeSet).toHaveBeenCalledTimes(2);
+    const outputs = Object.fromEntries(core.setOutput.mock.calls);
+    expect(outputs['deployment-status']).toBe('FAILED,UPDATE_COMPLETE');
+    expect(core.setFailed).toHaveBeenCalledTimes(1);
+    expect(core.setFailed).toHaveBeenCalledWith('Deployment of stack gone failed: Stack gone was not found while waiting for the deployment');
+  });
+});
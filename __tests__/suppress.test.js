@@ -0,0 +1,95 @@
+const { loadIgnoreRules, suppressChanges } = require('../src/suppress');
+
+function detail(scope, name, { requiresRecreation = 'Never', evaluation = 'Static', changeSource = 'DirectModification' } = {}) {
+  return { Target: { Attribute: scope, Name: name, RequiresRecreation: requiresRecreation }, Evaluation: evaluation, ChangeSource: changeSource };
+}
+
+function resourceChange(logicalResourceId, resourceType, action, replacement, details = []) {
+  return { Type: 'Resource', ResourceChange: { Action: action, LogicalResourceId: logicalResourceId, ResourceType: resourceType, Replacement: replacement, Details: details } };
+}
+
+describe('loadIgnoreRules', () => {
+  test('flags the rules that match property changes', () => {
+    expect(loadIgnoreRules('- resourceType: AWS::Lambda::Function\n- scope: Metadata', '')).toEqual([
+      { resourceType: 'AWS::Lambda::Function', index: 1, matchesDetails: false },
+      { scope: 'Metadata', index: 2, matchesDetails: true }
+    ]);
+  });
+
+  test('rejects rules without conditions', () => {
+    expect(() => loadIgnoreRules('- reason: noise', '')).toThrow('rule 1 needs at least one of');
+  });
+});
+
+describe('suppressChanges', () => {
+  const changeset = {
+    Changes: [
+      resourceChange('Function', 'AWS::Lambda::Function', 'Modify', 'False', [
+        detail('Properties', 'Code', { evaluation: 'Dynamic' }),
+        detail('Properties', 'Timeout')
+      ]),
+      resourceChange('Bucket', 'AWS::S3::Bucket', 'Modify', 'False', [detail('Metadata', null)]),
+      resourceChange('Queue', 'AWS::SQS::Queue', 'Add')
+    ],
+    NestedChangeSets: [{
+      logicalResourceId: 'Network',
+      changeset: { Changes: [resourceChange('Vpc', 'AWS::EC2::VPC', 'Modify', 'False', [detail('Metadata', null)])] }
+    }]
+  };
+
+  test('returns the changeset untouched without rules', () => {
+    expect(suppressChanges(changeset, [])).toEqual({ changeset, suppressed: [] });
+  });
+
+  test('drops whole resource changes for rules on the resource', () => {
+    const { changeset: filtered, suppressed } = suppressChanges(changeset, loadIgnoreRules('- resourceType: AWS::SQS::*\n  reason: queues are managed elsewhere', ''));
+
+    expect(filtered.Changes.map(change => change.ResourceChange.LogicalResourceId)).toEqual(['Function', 'Bucket']);
+    expect(suppressed).toEqual([{
+      logicalResourceId: 'Queue',
+      resourceType: 'AWS::SQS::Queue',
+      action: 'Add',
+      replacement: 'N/A',
+      properties: [],
+      partial: false,
+      reason: 'queues are managed elsewhere'
+    }]);
+  });
+
+  test('drops matching property changes and only drops the resource change once none are left', () => {
+    const rules = loadIgnoreRules('- scope: Metadata\n- property: Code\n  evaluation: Dynamic', '');
+    const { changeset: filtered, suppressed } = suppressChanges(changeset, rules);
+
+    expect(filtered.Changes.map(change => change.ResourceChange.LogicalResourceId)).toEqual(['Function', 'Queue']);
+    expect(filtered.Changes[0].ResourceChange.Details.map(entry => entry.Target.Name)).toEqual(['Timeout']);
+    expect(filtered.NestedChangeSets[0].changeset.Changes).toEqual([]);
+    expect(suppressed.map(entry => [entry.logicalResourceId, entry.partial, entry.properties])).toEqual([
+      ['Function', true, ['Code']],
+      ['Bucket', false, ['Metadata']],
+      ['Network/Vpc', false, ['Metadata']]
+    ]);
+    expect(suppressed[0].reason).toBe('Ignore rule 2 (property=Code, evaluation=Dynamic)');
+  });
+
+  test('works out the replacement again when the property that caused it is suppressed', () => {
+    const replaced = {
+      Changes: [
+        resourceChange('Database', 'AWS::RDS::DBInstance', 'Modify', 'True', [
+          detail('Properties', 'DBName', { requiresRecreation: 'Always' }),
+          detail('Properties', 'EngineVersion', { requiresRecreation: 'Conditionally' }),
+          detail('Properties', 'Tags')
+        ]),
+        resourceChange('Table', 'AWS::DynamoDB::Table', 'Modify', 'True', [
+          detail('Properties', 'KeySchema', { requiresRecreation: 'Always' }),
+          detail('Properties', 'Tags')
+        ])
+      ]
+    };
+    const resources = rules => suppressChanges(replaced, loadIgnoreRules(rules, '')).changeset.Changes.map(change => change.ResourceChange);
+
+    expect(resources('- property: DBName').map(resource => resource.Replacement)).toEqual(['Conditional', 'True']);
+    expect(resources('- property: [DBName, EngineVersion, KeySchema]').map(resource => resource.Replacement)).toEqual(['False', 'False']);
+    // Suppressing a property that doesn't require recreation leaves the replacement as CloudFormation reported it
+    expect(resources('- property: Tags').map(resource => resource.Replacement)).toEqual(['True', 'True']);
+  });
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+
+const { createDisplay, THEMES, EMOJI_SETS } = require('./src/display');
+const { loadPolicy } = require('./src/policy');
+const { loadIgnoreRules } = require('./src/suppress');
+const { statefulResourceTypes } = require('./src/data-loss');
+const { combineReports } = require('./src/report-text');
+const { generatePRSection } = require('./src/report-markdown');
+const { generateHtmlReport } = require('./src/report-html');
+const { loadChangesetFiles, buildFileResult } = require('./src/changeset');
+
+const FORMATS = ['ansi', 'text', 'markdown', 'html'];
+
+const USAGE = `Usage: cfn-changeset-reporter [options] <changeset.json...>
+
+Reports on saved \`aws cloudformation describe-change-set\` JSON documents.
+
+Options:
+  --format <format>     Report format: ${FORMATS.join(', ')} (default: ansi, or text when NO_COLOR is set)
+  --markdown            Same as --format markdown
+  --theme <theme>       Console color theme: ${Object.keys(THEMES).join(', ')}
+  --emoji-set <set>     Emoji used for categories and statuses: ${Object.keys(EMOJI_SETS).join(', ')}
+  --policy-file <path>  Check the changes against a YAML or JSON policy file
+  --ignore-file <path>  Suppress the changes matched by a YAML or JSON list of ignore rules
+  --stateful-types <types>
+                        More resource types (or * patterns) to rate as stateful, separated by commas
+  -h, --help            Show this help
+`;
+
+/**
+ * Command line entry point for reproducing reports locally from saved changesets
+ * Exits with 1 when a fail-level policy rule matches and 2 on usage or input errors
+ */
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string' },
+        markdown: { type: 'boolean', default: false },
+        theme: { type: 'string', default: 'default' },
+        'emoji-set': { type: 'string', default: 'default' },
+        'policy-file': { type: 'string' },
+        'ignore-file': { type: 'string' },
+        'stateful-types': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.values.help || args.positionals.length === 0) {
+    process.stdout.write(USAGE);
+    return args.values.help ? 0 : 2;
+  }
+
+  const format = args.values.markdown ? 'markdown' : (args.values.format || (process.env.NO_COLOR ? 'text' : 'ansi'));
+  const { theme } = args.values;
+  const emojiSet = args.values['emoji-set'];
+  if (!FORMATS.includes(format) || !THEMES[theme] || !EMOJI_SETS[emojiSet]) {
+    process.stderr.write(`Unknown format, theme or emoji set\n\n${USAGE}`);
+    return 2;
+  }
+  const display = createDisplay({ color: format === 'ansi', theme, emojiSet });
+
+  let results;
+  try {
+    const policyRules = loadPolicy('', args.values['policy-file']);
+    const ignoreRules = loadIgnoreRules('', args.values['ignore-file']);
+    const statefulTypes = statefulResourceTypes(args.values['stateful-types']);
+    results = loadChangesetFiles(args.positionals.join('\n'))
+      .map(changeset => buildFileResult(changeset, policyRules, ignoreRules, statefulTypes, display));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 2;
+  }
+
+  if (format === 'markdown') {
+    const sections = results.map(result =>
+      generatePRSection(result.changeset, result.stackName, result.violations, {
+        location: result.location,
+        provenance: result.provenance,
+        stale: result.stale,
+        suppressed: result.suppressed,
+        settings: result.settings,
+        drift: result.drift,
+        display
+      })
+    );
+    process.stdout.write(`# CloudFormation Changeset Report\n\n${sections.join('\n\n')}\n`);
+  } else if (format === 'html') {
+    process.stdout.write(generateHtmlReport(results, display));
+  } else {
+    process.stdout.write(`${combineReports(results, display)}\n`);
+  }
+
+  const failures = results.flatMap(result => result.violations).filter(violation => violation.level === 'fail');
+  if (failures.length > 0) {
+    process.stderr.write(`Policy check failed: ${failures.length} change(s) matched a fail-level rule\n`);
+    return 1;
+  }
+
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,189 @@
+const { DEFAULT_DISPLAY } = require('./display');
+const { categoryOf, categorizeChange, CASCADE_SOURCES } = require('./changes');
+
+/**
+ * Builds the graph of changes caused by other changes in the same changeset, from each
+ * property change's `CausingEntity`
+ *
+ * Edges run from the resource or parameter causing a change to the resource it changes.
+ * Parameters are only included when they feed into a resource cascade. Returns null when
+ * no resource being replaced causes another change.
+ */
+function buildCascadeGraph(changes) {
+  const resources = new Map();
+  changes.forEach(change => {
+    if (change.ResourceChange) {
+      resources.set(change.ResourceChange.LogicalResourceId, change.ResourceChange);
+    }
+  });
+  
+  // Merge the properties of edges between the same two nodes
+  const edgeMap = new Map();
+  const addEdge = (from, to, property, kind) => {
+    const key = `${from}\n${to}`;
+    if (!edgeMap.has(key)) edgeMap.set(key, { from, to, kind, properties: [] });
+    const edge = edgeMap.get(key);
+    if (property && !edge.properties.includes(property)) edge.properties.push(property);
+  };
+  
+  resources.forEach((resource, logicalId) => {
+    (resource.Details || []).forEach(detail => {
+      if (!detail.CausingEntity) return;
+      const property = detail.Target.Name || detail.Target.Attribute;
+      
+      if (CASCADE_SOURCES.includes(detail.ChangeSource)) {
+        // Attribute references name the attribute too, e.g. `Role.Arn`
+        const cause = detail.CausingEntity.split('.')[0];
+        if (cause !== logicalId && resources.has(cause)) {
+          addEdge(cause, logicalId, property, 'resource');
+        }
+      } else if (detail.ChangeSource === 'ParameterReference') {
+        addEdge(`Parameter:${detail.CausingEntity}`, logicalId, property, 'parameter');
+      }
+    });
+  });
+  
+  const resourceEdges = [...edgeMap.values()].filter(edge => edge.kind === 'resource');
+  if (!resourceEdges.some(edge => categorizeChange(resources.get(edge.from)) === 'Will be replaced')) return null;
+  
+  const cascading = new Set(resourceEdges.flatMap(edge => [edge.from, edge.to]));
+  const edges = [...edgeMap.values()].filter(edge => edge.kind === 'resource' || cascading.has(edge.to));
+  
+  const nodes = [...new Set(edges.flatMap(edge => [edge.from, edge.to]))];
+  const targets = new Set(edges.map(edge => edge.to));
+  
+  const graph = {
+    resources,
+    edges,
+    nodes,
+    // Nodes nothing else in the changeset causes to change
+    roots: nodes.filter(node => !targets.has(node)),
+    // Resources that are edited in the template as well as changed by others
+    directlyEdited: nodes.filter(node => targets.has(node) && isDirectlyEdited(resources.get(node))),
+    children: node => edges.filter(edge => edge.from === node)
+  };
+  
+  // Cycles have no natural root, start them from a directly edited resource where possible
+  const reached = new Set(graph.roots);
+  graph.roots.forEach(root => cascadeDescendants(graph, root, reached));
+  [...graph.directlyEdited, ...nodes].forEach(node => {
+    if (reached.has(node)) return;
+    graph.roots.push(node);
+    reached.add(node);
+    cascadeDescendants(graph, node, reached);
+  });
+  
+  return graph;
+}
+
+function isDirectlyEdited(resource) {
+  return Boolean(resource) && (resource.Details || []).some(detail => detail.ChangeSource === 'DirectModification');
+}
+
+/**
+ * Lists every resource a cascade node causes to change, directly or indirectly
+ */
+function cascadeDescendants(graph, node, seen = new Set()) {
+  graph.children(node).forEach(edge => {
+    if (seen.has(edge.to)) return;
+    seen.add(edge.to);
+    cascadeDescendants(graph, edge.to, seen);
+  });
+  return seen;
+}
+
+/**
+ * Describes a cascade root with the number of changes and replacements it leads to
+ */
+function describeCascadeRoot(graph, root) {
+  const descendants = [...cascadeDescendants(graph, root)];
+  const replacements = descendants.filter(id => categorizeChange(graph.resources.get(id)) === 'Will be replaced').length;
+  return `${descendants.length} dependent change${descendants.length === 1 ? '' : 's'}, ${replacements} replacement${replacements === 1 ? '' : 's'}`;
+}
+
+/**
+ * Renders the cascade graph as an indented tree from each root cause for the console report
+ */
+function formatCascadeTree(graph, display) {
+  const { paint, icon } = display;
+  const nodeLabel = node => {
+    if (node.startsWith('Parameter:')) {
+      return paint('strong', `Parameter ${node.substring('Parameter:'.length)}`);
+    }
+    const resource = graph.resources.get(node);
+    return `${icon(categoryOf(resource).role)}${paint('strong', node)} (${paint('muted', resource.ResourceType)})`;
+  };
+  
+  const renderChildren = (node, indent, path) => graph.children(node).map((edge, i, siblings) => {
+    const last = i === siblings.length - 1;
+    const edited = graph.directlyEdited.includes(edge.to) ? ` ${paint('warning', '(also edited directly)')}` : '';
+    const line = `${indent}${last ? '└─' : '├─'} ${nodeLabel(edge.to)} via ${paint('strong', edge.properties.join(', '))}${edited}\n`;
+    // Guard against cycles, CloudFormation rejects them but the graph comes from untrusted input
+    if (path.has(edge.to)) return line;
+    return line + renderChildren(edge.to, `${indent}${last ? '   ' : '│  '}`, new Set([...path, edge.to]));
+  }).join('');
+  
+  return graph.roots.map(root =>
+    `   ${nodeLabel(root)} ${paint('replace', `→ ${describeCascadeRoot(graph, root)}`)}\n` +
+    renderChildren(root, '   ', new Set([root]))
+  ).join('\n');
+}
+
+// Mermaid node styles by category role, with parameters styled on their own
+const MERMAID_CLASS_STYLES = {
+  replace: 'fill:#ffd7d5,stroke:#cf222e',
+  modify: 'fill:#fff8c5,stroke:#9a6700',
+  add: 'fill:#dafbe1,stroke:#1a7f37',
+  remove: 'fill:#eaeef2,stroke:#57606a',
+  import: 'fill:#ddf4ff,stroke:#54aeff',
+  dynamic: 'fill:#fbefff,stroke:#8250df',
+  other: 'fill:#f6f8fa,stroke:#8c959f',
+  parameter: 'fill:#ddf4ff,stroke:#0969da'
+};
+
+/**
+ * Renders the cascade graph as a Mermaid diagram for the PR comment
+ */
+function formatCascadeMermaid(graph, display = DEFAULT_DISPLAY) {
+  // Logical IDs are alphanumeric but parameter nodes aren't, so number every node
+  const ids = new Map(graph.nodes.map((node, i) => [node, `n${i}`]));
+  const escapeLabel = text => text.replace(/"/g, '#quot;');
+  
+  let mermaid = '```mermaid\ngraph LR\n';
+  const classes = {};
+  
+  graph.nodes.forEach(node => {
+    const id = ids.get(node);
+    if (node.startsWith('Parameter:')) {
+      mermaid += `  ${id}(["Parameter: ${escapeLabel(node.substring('Parameter:'.length))}"])\n`;
+      (classes.parameter = classes.parameter || []).push(id);
+      return;
+    }
+    
+    const resource = graph.resources.get(node);
+    const { role } = categoryOf(resource);
+    const edited = graph.directlyEdited.includes(node) ? '<br/><i>also edited directly</i>' : '';
+    mermaid += `  ${id}["${display.icon(role)}${escapeLabel(node)}<br/>${escapeLabel(resource.ResourceType)}${edited}"]\n`;
+    (classes[role] = classes[role] || []).push(id);
+  });
+  
+  graph.edges.forEach(edge => {
+    mermaid += `  ${ids.get(edge.from)} -->|"${escapeLabel(edge.properties.join(', '))}"| ${ids.get(edge.to)}\n`;
+  });
+  
+  Object.keys(classes).forEach(name => {
+    mermaid += `  classDef ${name} ${MERMAID_CLASS_STYLES[name]}\n`;
+  });
+  Object.entries(classes).forEach(([name, nodeIds]) => {
+    mermaid += `  class ${nodeIds.join(',')} ${name}\n`;
+  });
+  
+  return mermaid + '```\n';
+}
+
+module.exports = {
+  buildCascadeGraph,
+  describeCascadeRoot,
+  formatCascadeTree,
+  formatCascadeMermaid
+};
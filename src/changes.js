@@ -0,0 +1,251 @@
+/**
+ * Gives every change a resource change to report on
+ * CloudFormation only reports `Resource` changes today, any other change type becomes a placeholder
+ * with its type in `ChangeType`, so it's counted and listed as an other change instead of being dropped
+ */
+function normalizeChanges(changeset) {
+  const normalized = {
+    ...changeset,
+    Changes: (changeset.Changes || []).map(change => {
+      if (change.ResourceChange && (change.Type || 'Resource') === 'Resource') return change;
+      
+      const type = change.Type || 'Unknown';
+      return {
+        ...change,
+        ResourceChange: {
+          ChangeType: type,
+          Action: 'Unknown',
+          LogicalResourceId: `${type} change`,
+          ResourceType: type,
+          Replacement: 'N/A',
+          Details: []
+        }
+      };
+    })
+  };
+  
+  if (changeset.NestedChangeSets) {
+    normalized.NestedChangeSets = changeset.NestedChangeSets.map(nested => ({ ...nested, changeset: normalizeChanges(nested.changeset) }));
+  }
+  
+  return normalized;
+}
+
+/**
+ * CloudFormation marks changesets that would change nothing as FAILED, with a StatusReason saying so
+ */
+function isNoChangesChangeSet(changeset) {
+  return changeset.Status === 'FAILED' &&
+    /didn't contain changes|No updates are to be performed/i.test(changeset.StatusReason || '');
+}
+
+// Report categories in display order, shared by every renderer and the JSON model
+const CATEGORIES = [
+  {
+    group: 'Will be replaced',
+    key: 'replaced',
+    role: 'replace',
+    label: 'Replaced',
+    title: 'Resources Requiring Replacement',
+    summary: 'Resources requiring replacement',
+    detailsLabel: 'All Property Changes'
+  },
+  {
+    group: 'Modified without replacement',
+    key: 'modified',
+    role: 'modify',
+    label: 'Modified',
+    title: 'Resources Modified In-Place',
+    summary: 'Resources modified in-place',
+    detailsLabel: 'Property Changes'
+  },
+  {
+    group: 'New resources',
+    key: 'added',
+    role: 'add',
+    label: 'Added',
+    title: 'New Resources',
+    summary: 'New resources to be created',
+    detailsLabel: 'Property Details'
+  },
+  {
+    group: 'Removed resources',
+    key: 'removed',
+    role: 'remove',
+    label: 'Removed',
+    title: 'Resources Being Removed',
+    summary: 'Resources to be removed',
+    detailsLabel: 'Resource Details'
+  },
+  // The categories below are rare, so totals tables only show them when they have changes
+  {
+    group: 'Imported resources',
+    key: 'imported',
+    role: 'import',
+    label: 'Imported',
+    title: 'Resources Being Imported',
+    summary: 'Existing resources to be imported',
+    detailsLabel: 'Import Details',
+    explanation: 'The existing resource is brought under the stack\'s management as it is, without being created or updated',
+    optional: true
+  },
+  {
+    group: 'Dynamic changes',
+    key: 'dynamic',
+    role: 'dynamic',
+    label: 'Dynamic',
+    title: 'Changes Decided at Deploy Time',
+    summary: 'Changes decided at deploy time',
+    detailsLabel: 'Property Changes',
+    explanation: 'CloudFormation can only tell whether this resource is added, modified or removed when the changeset is executed',
+    optional: true
+  },
+  {
+    group: 'Other changes',
+    key: 'other',
+    role: 'other',
+    label: 'Other',
+    title: 'Other Changes',
+    summary: 'Other changes',
+    detailsLabel: 'Details',
+    explanation: 'CloudFormation reported a change that isn\'t a resource change, check the changeset in the CloudFormation console',
+    optional: true
+  }
+];
+
+// Summary counts list the most destructive changes first
+const SEVERITY_ORDER = [
+  'Removed resources',
+  'Will be replaced',
+  'Dynamic changes',
+  'Modified without replacement',
+  'Imported resources',
+  'New resources',
+  'Other changes'
+];
+
+/**
+ * Leaves out the optional categories that have no changes in any of the counts
+ */
+function reportedCategories(categories, countsList) {
+  return categories.filter(category => !category.optional || countsList.some(counts => counts[category.group] > 0));
+}
+
+function categoryOf(resource) {
+  const group = categorizeChange(resource);
+  return CATEGORIES.find(category => category.group === group);
+}
+
+/**
+ * Flattens a changeset's changes together with those of its nested stacks,
+ * naming nested resources by their path, e.g. `Network/Vpc`
+ */
+function collectChanges(changeset, stackPath = '') {
+  const changes = (changeset.Changes || [])
+    .filter(change => change.ResourceChange)
+    .map(change => stackPath ?
+      { ...change, ResourceChange: { ...change.ResourceChange, LogicalResourceId: stackPath + change.ResourceChange.LogicalResourceId } } :
+      change
+    );
+  
+  (changeset.NestedChangeSets || []).forEach(nested => {
+    changes.push(...collectChanges(nested.changeset, `${stackPath}${nested.logicalResourceId}/`));
+  });
+  
+  return changes;
+}
+
+/**
+ * Determines which report group a resource change belongs to
+ */
+function categorizeChange(resource) {
+  const needsReplacement = resource.Replacement === 'True' || resource.Replacement === 'Conditional';
+  
+  if (resource.ChangeType) return 'Other changes';
+  if (resource.Action === 'Remove') return 'Removed resources';
+  if (resource.Action === 'Import') return 'Imported resources';
+  if (resource.Action === 'Dynamic') return 'Dynamic changes';
+  if (needsReplacement) return 'Will be replaced';
+  if (resource.Action === 'Add') return 'New resources';
+  return 'Modified without replacement';
+}
+
+/**
+ * Groups a changeset's changes by replacement status, keeping each change's position in the changeset
+ * Shared by the console report, the PR comment and the job summary
+ */
+function classifyChanges(changes) {
+  const replacementGroups = Object.fromEntries(CATEGORIES.map(category => [category.group, []]));
+  
+  changes.forEach((change, i) => {
+    const resource = change.ResourceChange;
+    replacementGroups[categorizeChange(resource)].push({ index: i+1, resource, change });
+  });
+  
+  return replacementGroups;
+}
+
+/**
+ * Counts a changeset's resource changes per report group, including those of nested stacks
+ */
+function countChanges(changeset) {
+  const counts = {
+    ...Object.fromEntries(CATEGORIES.map(category => [category.group, 0])),
+    total: 0
+  };
+  
+  (changeset.Changes || []).forEach(change => {
+    counts[categorizeChange(change.ResourceChange)]++;
+    counts.total++;
+  });
+  
+  // Roll up the counts of nested stack changesets
+  (changeset.NestedChangeSets || []).forEach(nested => {
+    const nestedCounts = countChanges(nested.changeset);
+    Object.keys(counts).forEach(key => {
+      counts[key] += nestedCounts[key];
+    });
+  });
+  
+  return counts;
+}
+
+// Change sources where one resource's change flows into another resource
+const CASCADE_SOURCES = ['ResourceReference', 'ResourceAttribute'];
+
+/**
+ * Picks the property changes that can cause a resource to be replaced
+ */
+function findReplacementCauses(details) {
+  return (details || []).filter(detail => 
+    detail.Evaluation === 'Dynamic' || 
+    detail.Target.RequiresRecreation === 'Always' ||
+    detail.Target.RequiresRecreation === 'Conditionally'
+  );
+}
+
+/**
+ * Explains which resource or parameter caused a property change, if any
+ */
+function describeCausingEntity(detail) {
+  if (!detail.CausingEntity) return '';
+  if (CASCADE_SOURCES.includes(detail.ChangeSource)) return ` caused by \`${detail.CausingEntity.split('.')[0]}\``;
+  if (detail.ChangeSource === 'ParameterReference') return ` from parameter \`${detail.CausingEntity}\``;
+  return '';
+}
+
+module.exports = {
+  normalizeChanges,
+  isNoChangesChangeSet,
+  CATEGORIES,
+  SEVERITY_ORDER,
+  reportedCategories,
+  categoryOf,
+  collectChanges,
+  categorizeChange,
+  classifyChanges,
+  countChanges,
+  CASCADE_SOURCES,
+  findReplacementCauses,
+  describeCausingEntity
+};
@@ -0,0 +1,163 @@
+const core = require('@actions/core');
+
+const { matchesAnyPattern } = require('./utils');
+const { isNoChangesChangeSet } = require('./changes');
+
+// Changesets that were executed, or that a later stack update made obsolete
+const UNUSABLE_EXECUTION_STATUSES = ['OBSOLETE', 'EXECUTE_IN_PROGRESS', 'EXECUTE_COMPLETE', 'EXECUTE_FAILED'];
+
+/**
+ * Picks the newest changeset that can still be reported on and matches `changesetMatch`
+ * Failed changesets are skipped, except the ones that only failed for having no changes.
+ */
+async function selectChangeSet(cloudformation, rawStackName, summaries, changesetMatch) {
+  const candidates = summaries
+    .filter(summary => !UNUSABLE_EXECUTION_STATUSES.includes(summary.ExecutionStatus))
+    .filter(summary => summary.Status !== 'FAILED' || isNoChangesChangeSet(summary))
+    .sort((a, b) => new Date(b.CreationTime) - new Date(a.CreationTime));
+  
+  if (candidates.length < summaries.length) {
+    core.debug(`Skipping ${summaries.length - candidates.length} failed or obsolete changeset(s) for ${rawStackName}`);
+  }
+  
+  for (const summary of candidates) {
+    if (!changesetMatch) return summary;
+    
+    let value;
+    if (changesetMatch.field === 'tag') {
+      // Changeset summaries don't have the tags
+      const { Tags } = await cloudformation.describeChangeSet({ ChangeSetName: summary.ChangeSetName, StackName: rawStackName });
+      value = ((Tags || []).find(tag => tag.Key === changesetMatch.key) || {}).Value;
+    } else {
+      value = changesetMatch.field === 'name' ? summary.ChangeSetName : summary.Description;
+    }
+    
+    if (value !== undefined && matchesAnyPattern(value, changesetMatch.pattern)) return summary;
+  }
+  return null;
+}
+
+const CHANGESET_MATCH_FIELDS = ['description', 'name', 'tag'];
+
+/**
+ * Reads the changeset-match input, `description:<pattern>`, `name:<pattern>` or `tag:<key>=<pattern>`,
+ * with `{sha}`, `{short-sha}` and `{pr}` replaced by the commit and pull request the action runs for
+ * Returns null when it is not set
+ *
+ * A tag pattern with the commit in it also gives the provenance of the changesets it matches,
+ * since their descriptions don't have the action's provenance.
+ */
+function readChangesetMatch(context) {
+  const input = core.getInput('changeset-match').trim();
+  if (!input) return null;
+  
+  const separator = input.indexOf(':');
+  const field = separator === -1 ? '' : input.substring(0, separator).trim().toLowerCase();
+  if (!CHANGESET_MATCH_FIELDS.includes(field)) {
+    throw new Error(`Input changeset-match must start with one of ${CHANGESET_MATCH_FIELDS.map(name => `${name}:`).join(', ')}, got '${input}'`);
+  }
+  
+  let key;
+  let pattern = input.substring(separator + 1).trim();
+  if (field === 'tag') {
+    const equals = pattern.indexOf('=');
+    if (equals === -1) {
+      throw new Error(`Input changeset-match must be tag:<key>=<pattern> to match a tag, got '${input}'`);
+    }
+    key = pattern.substring(0, equals).trim();
+    pattern = pattern.substring(equals + 1).trim();
+  }
+  
+  const { sha, pullRequest } = commitProvenance(context);
+  const usesPullRequest = pattern.includes('{pr}');
+  if (usesPullRequest && !pullRequest) {
+    throw new Error(`Input changeset-match uses {pr} but the action isn't running for a pull request, got '${input}'`);
+  }
+  const provenance = field === 'tag' && /\{(short-)?sha\}/.test(pattern) ?
+    { commit: sha, pullRequest: usesPullRequest ? pullRequest : null, runId: null } :
+    null;
+  
+  pattern = pattern
+    .replace(/\{sha\}/g, sha)
+    .replace(/\{short-sha\}/g, sha.substring(0, 7))
+    .replace(/\{pr\}/g, String(pullRequest));
+  
+  return { field, key, pattern, provenance, description: `${field}${key ? ` ${key}` : ''} '${pattern}'` };
+}
+
+/**
+ * Returns the commit, pull request and workflow run the action runs for
+ */
+function commitProvenance(context) {
+  const pullRequest = context.payload && context.payload.pull_request;
+  return {
+    sha: (pullRequest && pullRequest.head && pullRequest.head.sha) || context.sha || '',
+    pullRequest: pullRequest ? pullRequest.number : null,
+    runId: context.runId || null
+  };
+}
+
+/**
+ * Formats the provenance written to the description of the changesets the action creates,
+ * e.g. `Created by cfn-changeset-reporter commit=1a2b3c4d... pr=42 run=123`
+ */
+function formatProvenance({ sha, pullRequest, runId }) {
+  return ['Created by cfn-changeset-reporter', sha && `commit=${sha}`, pullRequest && `pr=${pullRequest}`, runId && `run=${runId}`]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Reads the commit, pull request and run from a changeset description in the `formatProvenance` format
+ * Returns null when the description has no commit
+ */
+function parseProvenance(description) {
+  const field = name => (new RegExp(`\\b${name}=(\\S+)`).exec(description || '') || [])[1];
+  const commit = field('commit');
+  if (!commit) return null;
+  
+  const pullRequest = field('pr');
+  const runId = field('run');
+  return {
+    commit,
+    pullRequest: pullRequest ? Number(pullRequest) : null,
+    runId: runId ? Number(runId) : null
+  };
+}
+
+const STALE_MODES = ['warn', 'fail', 'ignore'];
+
+function readStaleMode() {
+  const mode = (core.getInput('stale-changeset') || 'warn').toLowerCase();
+  if (!STALE_MODES.includes(mode)) {
+    throw new Error(`Input stale-changeset must be one of ${STALE_MODES.join(', ')}, got '${mode}'`);
+  }
+  return mode;
+}
+
+/**
+ * Describes where a changeset came from, e.g. `commit 1a2b3c4, PR #42, run 123`
+ */
+function formatProvenanceLabel(provenance) {
+  return [
+    `commit ${provenance.commit.substring(0, 7)}`,
+    provenance.pullRequest && `PR #${provenance.pullRequest}`,
+    provenance.runId && `run ${provenance.runId}`
+  ].filter(Boolean).join(', ');
+}
+
+function formatStaleReason(stale) {
+  return `created ${new Date(stale.changesetCreated).toISOString()}, before the stack was last updated ` +
+    `${new Date(stale.stackUpdated).toISOString()}, so it may not show what deploying it now would change`;
+}
+
+module.exports = {
+  selectChangeSet,
+  readChangesetMatch,
+  commitProvenance,
+  formatProvenance,
+  parseProvenance,
+  readStaleMode,
+  formatProvenanceLabel,
+  formatStaleReason
+};
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const core = require('@actions/core');
+
+const { splitList, resolveWorkspacePath, sleep, listAllPages, extractStackName, parseStackArn } = require('./utils');
+const { DEFAULT_DISPLAY } = require('./display');
+const { normalizeChanges, isNoChangesChangeSet, countChanges } = require('./changes');
+const { evaluatePolicy } = require('./policy');
+const { suppressChanges } = require('./suppress');
+const { describeResourcePolicies, rateDataLossRisks } = require('./data-loss');
+const { detectStackDrift, markDriftedChanges, flagChangedDrift } = require('./drift');
+const { describeCurrentStack, describeChangeSetHookResults, compareStackSettings } = require('./stack-settings');
+const { selectChangeSet, parseProvenance } = require('./changeset-selection');
+const { generateActionReport } = require('./report-text');
+
+/**
+ * Finds and describes the changeset for a single stack, detects the stack's drift when `detectDrift` is set,
+ * rates its changes for data-loss risk, checks it against the policy, filters it with the ignore rules
+ * and builds its console report
+ *
+ * Without a changeset name, the newest changeset that can still be reported on and matches
+ * `changesetMatch` (see `readChangesetMatch`) is used.
+ */
+async function reportOnStack(cloudformation, target, policyRules, ignoreRules, statefulTypes, waitOptions, detectDrift, changesetMatch, display) {
+  const { rawStackName } = target;
+  const stackName = extractStackName(rawStackName);
+
+  // If changeset name is not specified, get the latest one for the stack
+  let actualChangesetName = target.changesetName;
+  let noChangesetFound = false;
+  let matchedProvenance = null;
+  
+  if (!actualChangesetName) {
+    core.debug(`No changeset name provided for ${stackName}, finding the latest one...`);
+    const summaries = await listAllPages(
+      params => cloudformation.listChangeSets(params),
+      { StackName: rawStackName },
+      'Summaries'
+    );
+    
+    const selected = await selectChangeSet(cloudformation, rawStackName, summaries, changesetMatch);
+    if (selected) {
+      actualChangesetName = selected.ChangeSetName;
+      matchedProvenance = changesetMatch && changesetMatch.provenance;
+      core.debug(`Using latest changeset: ${actualChangesetName}`);
+    } else if (summaries.length > 0) {
+      core.warning(`None of the ${summaries.length} changeset(s) for stack ${stackName} can be reported on: ` +
+        `they failed, are obsolete${changesetMatch ? ` or don't match ${changesetMatch.description}` : ''}`);
+      noChangesetFound = true;
+    } else {
+      core.warning(`No changesets found for stack ${stackName}`);
+      noChangesetFound = true;
+    }
+  }
+
+  // Initialize changeset variable
+  let changeset;
+  
+  if (noChangesetFound) {
+    // Create a minimal changeset object with required fields
+    changeset = {
+      StackName: stackName,
+      Status: 'NONE',
+      ExecutionStatus: 'UNAVAILABLE',
+      ChangeSetName: 'NO_CHANGESETS',
+      Changes: []
+    };
+  } else {
+    // Get changeset details
+    const params = {
+      ChangeSetName: actualChangesetName,
+      StackName: rawStackName,
+      IncludePropertyValues: true
+    };
+    
+    // The changeset may still be being created, e.g. when this runs right after create-change-set
+    await waitForChangeSet(cloudformation, params, waitOptions);
+    
+    changeset = await describeFullChangeSet(cloudformation, params);
+    await describeNestedChangeSets(cloudformation, changeset);
+    await describeResourcePolicies(cloudformation, changeset);
+  }
+  
+  // The deployed stack's parameters and tags are what the changeset's get compared with
+  const [currentStack, hooks] = noChangesetFound ? [null, null] : await Promise.all([
+    describeCurrentStack(cloudformation, rawStackName),
+    describeChangeSetHookResults(cloudformation, changeset)
+  ]);
+  
+  // Only a deployed stack has resources that can drift
+  const drift = detectDrift && currentStack ? await detectStackDrift(cloudformation, rawStackName, waitOptions) : null;
+  
+  // A changeset made before the stack's last update doesn't show what deploying it now would change
+  const stale = currentStack && currentStack.LastUpdatedTime && changeset.CreationTime &&
+    new Date(changeset.CreationTime) < new Date(currentStack.LastUpdatedTime) ?
+    { changesetCreated: changeset.CreationTime, stackUpdated: currentStack.LastUpdatedTime } :
+    null;
+  
+  return buildStackResult({
+    stackName,
+    rawStackName,
+    changesetName: actualChangesetName,
+    changesetType: target.changesetType,
+    changeset,
+    currentStack,
+    hooks,
+    drift,
+    stale,
+    provenance: matchedProvenance,
+    noChangesetFound,
+    cloudformation,
+    accountId: target.accountId,
+    region: target.region
+  }, policyRules, ignoreRules, statefulTypes, display);
+}
+
+/**
+ * Rates a stack's changes for data-loss risk, marks the drifted ones, checks them against the policy,
+ * filters out the changes matched by the ignore rules and builds its console report
+ *
+ * `changeset` becomes the filtered changeset that every report shows, while the policy and the
+ * execute conditions keep checking `unfilteredChangeset` so ignore rules can't hide a risky change from them
+ */
+function buildStackResult(result, policyRules, ignoreRules, statefulTypes, display = DEFAULT_DISPLAY) {
+  const { stackName, noChangesetFound } = result;
+  
+  // The stack ARN has the account and region the changeset was read from
+  const stackArn = parseStackArn(result.changeset.StackId);
+  const accountId = stackArn.accountId || result.accountId || '';
+  const region = stackArn.region || result.region || '';
+  const location = formatStackLocation(accountId, region);
+  const provenance = parseProvenance(result.changeset.Description) || result.provenance || null;
+  const stale = result.stale || null;
+  
+  const unfilteredChangeset = markDriftedChanges(
+    rateDataLossRisks(normalizeChanges(result.changeset), statefulTypes),
+    result.drift
+  );
+  
+  // A FAILED changeset is either empty (nothing to deploy) or a real failure
+  const noChanges = isNoChangesChangeSet(unfilteredChangeset);
+  const failed = unfilteredChangeset.Status === 'FAILED' && !noChanges;
+  
+  // Check the changes against the policy rules (if any were configured)
+  const violations = noChangesetFound ? [] : evaluatePolicy(unfilteredChangeset, policyRules);
+  
+  // Suppressing the property changes that caused a replacement changes the data-loss risk too
+  const { changeset: remaining, suppressed } = suppressChanges(unfilteredChangeset, ignoreRules);
+  const changeset = suppressed.some(entry => entry.partial) ? rateDataLossRisks(remaining, statefulTypes) : remaining;
+  const settings = noChangesetFound ? null : compareStackSettings(unfilteredChangeset, result.currentStack, result.hooks);
+  const drift = flagChangedDrift(result.drift, unfilteredChangeset);
+  
+  // Changesets where every change was suppressed are reported as having no meaningful changes
+  const noMeaningfulChanges = !noChanges && !failed && suppressed.length > 0 && countChanges(changeset).total === 0;
+  
+  // Generate report based on output format
+  let report;
+  
+  if (noChangesetFound) {
+    report = `${display.paint('heading', '── Cloudformation Changeset Report ──')}\n\n`;
+    report += `${display.paint('warning', `No changesets found for stack ${stackName}${location ? ` (${location})` : ''}.`)}\n`;
+    report += `${display.paint('warning', 'Ensure the stack exists and has at least one changeset created.')}\n`;
+  } else {
+    report = generateActionReport(changeset, stackName, violations, { location, provenance, stale, suppressed, settings, drift, display });
+  }
+  
+  return {
+    ...result, accountId, region, location, provenance, stale,
+    changeset, unfilteredChangeset, suppressed, settings, drift, noChanges, noMeaningfulChanges, failed, violations, report
+  };
+}
+
+/**
+ * Labels a stack with the account and region it's in, e.g. `account 123456789012, eu-west-1`
+ */
+function formatStackLocation(accountId, region) {
+  return [accountId && `account ${accountId}`, region].filter(Boolean).join(', ');
+}
+
+/**
+ * Builds the result for a changeset loaded from a saved describe-change-set document
+ */
+function buildFileResult(changeset, policyRules, ignoreRules, statefulTypes, display = DEFAULT_DISPLAY) {
+  const rawStackName = changeset.StackId || changeset.StackName;
+  
+  return buildStackResult({
+    stackName: extractStackName(rawStackName),
+    rawStackName,
+    changesetName: changeset.ChangeSetName,
+    changeset,
+    noChangesetFound: false,
+    fromFile: true
+  }, policyRules, ignoreRules, statefulTypes, display);
+}
+
+/**
+ * Loads saved `aws cloudformation describe-change-set` JSON documents
+ * The input is a newline or comma separated list of paths, and each file may hold one document or a list of them
+ */
+function loadChangesetFiles(changesetFileInput) {
+  return splitList(changesetFileInput).flatMap(file => {
+    const filePath = resolveWorkspacePath(file);
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (readError) {
+      throw new Error(`Unable to read changeset file ${filePath}: ${readError.message}`);
+    }
+    
+    const documents = Array.isArray(parsed) ? parsed : [parsed];
+    documents.forEach(document => {
+      if (!document || !Array.isArray(document.Changes) || !(document.StackName || document.StackId)) {
+        throw new Error(`${filePath} is not a describe-change-set document (expected StackName and Changes)`);
+      }
+    });
+    
+    return documents;
+  });
+}
+
+const DEFAULT_WAIT_TIMEOUT = 300;
+
+const DEFAULT_WAIT_INTERVAL = 5;
+
+const PENDING_CHANGESET_STATUSES = ['CREATE_PENDING', 'CREATE_IN_PROGRESS'];
+
+/**
+ * Polls the changeset until it leaves CREATE_PENDING/CREATE_IN_PROGRESS
+ * Throws when it is still being created after the timeout
+ */
+async function waitForChangeSet(cloudformation, params, { timeout, interval }) {
+  const deadline = Date.now() + timeout * 1000;
+  
+  for (;;) {
+    const { Status } = await cloudformation.describeChangeSet(params);
+    if (!PENDING_CHANGESET_STATUSES.includes(Status)) return Status;
+    
+    if (Date.now() + interval * 1000 > deadline) {
+      throw new Error(`Timed out after ${timeout}s waiting for changeset ${params.ChangeSetName} to be created (status: ${Status})`);
+    }
+    
+    core.info(`Changeset ${params.ChangeSetName} is ${Status}, checking again in ${interval}s...`);
+    await sleep(interval * 1000);
+  }
+}
+
+/**
+ * Describes a changeset, following NextToken until every page of changes has been collected
+ */
+async function describeFullChangeSet(cloudformation, params) {
+  let changeset;
+  
+  const changes = await listAllPages(async pageParams => {
+    const page = await cloudformation.describeChangeSet(pageParams);
+    // Everything except the changes is repeated on every page, keep the first
+    changeset = changeset || page;
+    return page;
+  }, params, 'Changes');
+  
+  const { NextToken, ...fullChangeset } = changeset;
+  return { ...fullChangeset, Changes: changes };
+}
+
+const MAX_NESTED_DEPTH = 10;
+
+/**
+ * Follows the ChangeSetId of nested stack changes and describes each child changeset
+ * The children are attached to the parent as `NestedChangeSets` so the whole hierarchy can be reported
+ */
+async function describeNestedChangeSets(cloudformation, changeset, depth = 0) {
+  const nestedChanges = (changeset.Changes || []).filter(change => 
+    change.ResourceChange &&
+    change.ResourceChange.ResourceType === 'AWS::CloudFormation::Stack' &&
+    change.ResourceChange.ChangeSetId
+  );
+  
+  if (nestedChanges.length === 0) return changeset;
+  
+  if (depth >= MAX_NESTED_DEPTH) {
+    core.warning(`Not following nested stacks of ${changeset.StackName} deeper than ${MAX_NESTED_DEPTH} levels`);
+    return changeset;
+  }
+  
+  changeset.NestedChangeSets = await Promise.all(nestedChanges.map(async change => {
+    const resource = change.ResourceChange;
+    core.debug(`Describing nested changeset for ${resource.LogicalResourceId}: ${resource.ChangeSetId}`);
+    
+    // The changeset ARN identifies the nested changeset on its own, no stack name needed
+    const nestedChangeset = await describeFullChangeSet(cloudformation, {
+      ChangeSetName: resource.ChangeSetId,
+      IncludePropertyValues: true
+    });
+    await describeNestedChangeSets(cloudformation, nestedChangeset, depth + 1);
+    
+    return {
+      logicalResourceId: resource.LogicalResourceId,
+      stackName: nestedChangeset.StackName || extractStackName(resource.PhysicalResourceId) || resource.LogicalResourceId,
+      changeset: nestedChangeset
+    };
+  }));
+  
+  return changeset;
+}
+
+/**
+ * Builds the result for a stack whose changeset couldn't be created or fetched, so the other stacks are still reported
+ */
+function buildErrorResult(target, error, step, display) {
+  const stackName = extractStackName(target.rawStackName);
+  const accountId = target.accountId || '';
+  const region = target.region || '';
+  const location = formatStackLocation(accountId, region);
+  core.warning(`Failed to report on stack ${stackName}${location ? ` (${location})` : ''}: ${error.message}`);
+  
+  let report = `${display.paint('heading', '── Cloudformation Changeset Report ──')}\n\n`;
+  report += `${display.paint('strong', `• ${stackName}`)}${location ? ` ${display.paint('muted', `(${location})`)}` : ''}\n\n`;
+  report += `${display.paint('failure', `Failed to ${step} the changeset: ${error.message}`)}\n`;
+  
+  const changeset = {
+    StackName: stackName,
+    Status: 'ERROR',
+    ChangeSetName: target.changesetName || '',
+    Changes: []
+  };
+  
+  return {
+    stackName,
+    rawStackName: target.rawStackName,
+    changesetName: target.changesetName || '',
+    accountId,
+    region,
+    location,
+    changeset,
+    unfilteredChangeset: changeset,
+    suppressed: [],
+    noChangesetFound: false,
+    noChanges: false,
+    noMeaningfulChanges: false,
+    failed: false,
+    error: error.message,
+    errorStep: step,
+    violations: [],
+    report
+  };
+}
+
+module.exports = {
+  reportOnStack,
+  buildFileResult,
+  loadChangesetFiles,
+  DEFAULT_WAIT_TIMEOUT,
+  DEFAULT_WAIT_INTERVAL,
+  buildErrorResult
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const core = require('@actions/core');
+const YAML = require('yaml');
+
+const { splitList, resolveWorkspacePath, spansSeveralLocations, matchesAnyPattern } = require('./utils');
+const { generateDeploymentMarkdown } = require('./deploy');
+const { generateErrorSection, PR_DETAIL_LEVELS, generatePRSection } = require('./report-markdown');
+const {
+  buildReportModel,
+  flattenModelChanges,
+  describeModelChange,
+  sarifRulesFor,
+  sarifLevel
+} = require('./report-files');
+
+/**
+ * Reads the templates that check run annotations point at, as `stack=path` pairs where the stack
+ * may be a glob pattern, falling back to template-file for every other stack
+ */
+function parseCheckRunTemplates(checkRunTemplatesInput, templateFile) {
+  const templates = splitList(checkRunTemplatesInput).map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Input check-run-templates must list stack=path pairs, got '${entry}'`);
+    }
+    return { stack: entry.substring(0, separator).trim(), file: entry.substring(separator + 1).trim() };
+  });
+  
+  if (templateFile && templateFile.trim()) {
+    templates.push({ stack: '*', file: templateFile.trim() });
+  }
+  return templates;
+}
+
+// GitHub accepts at most 50 annotations per check run request
+const MAX_CHECK_ANNOTATIONS = 50;
+
+// GitHub rejects check run summaries over 65535 characters
+const MAX_CHECK_SUMMARY_LENGTH = 65000;
+
+const CHECK_ANNOTATION_LEVELS = { error: 'failure', warning: 'warning', note: 'notice' };
+
+/**
+ * Creates a completed check run per stack on the head commit, with the stack's report as its output
+ * and its removals and replacements as annotations on the lines of its template
+ *
+ * A failed policy check or a changeset that couldn't be created or fetched fails the check run,
+ * and removals or replacements make it neutral.
+ */
+async function createCheckRuns(octokit, context, results, { templates, display }) {
+  const pullRequest = context.payload.pull_request;
+  const headSha = (pullRequest && pullRequest.head && pullRequest.head.sha) || context.sha;
+  const runUrl = `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`;
+  const model = buildReportModel(results);
+  const showLocation = spansSeveralLocations(results);
+  
+  for (const [i, result] of results.entries()) {
+    const stack = model.stacks[i];
+    const template = templates.find(entry => matchesAnyPattern(result.stackName, entry.stack));
+    const annotations = template ? buildCheckAnnotations(stack, template.file) : [];
+    
+    let summary = renderCheckRunSummary(result, display);
+    if (!template && (stack.counts.removed > 0 || stack.counts.replaced > 0)) {
+      summary += `\n\n> ${display.icon('info')}Set \`template-file\` or \`check-run-templates\` to annotate the template lines of the removed and replaced resources.`;
+    }
+    
+    const output = { title: checkRunTitle(result, stack), summary };
+    const failed = Boolean(result.error) || result.violations.some(violation => violation.level === 'fail');
+    const destructive = stack.counts.removed > 0 || stack.counts.replaced > 0;
+    
+    const { data } = await octokit.rest.checks.create({
+      ...context.repo,
+      name: `CloudFormation: ${result.stackName}${showLocation && result.location ? ` (${result.location})` : ''}`,
+      head_sha: headSha,
+      details_url: runUrl,
+      status: 'completed',
+      conclusion: failed ? 'failure' : destructive ? 'neutral' : 'success',
+      output: { ...output, annotations: annotations.slice(0, MAX_CHECK_ANNOTATIONS) }
+    });
+    
+    // Further annotations are added to the check run in batches
+    for (let start = MAX_CHECK_ANNOTATIONS; start < annotations.length; start += MAX_CHECK_ANNOTATIONS) {
+      await octokit.rest.checks.update({
+        ...context.repo,
+        check_run_id: data.id,
+        output: { ...output, annotations: annotations.slice(start, start + MAX_CHECK_ANNOTATIONS) }
+      });
+    }
+    
+    core.info(`Created check run for stack ${result.stackName} with ${annotations.length} annotation(s)`);
+  }
+}
+
+function checkRunTitle(result, stack) {
+  if (result.error) return `Failed to ${result.errorStep} the changeset`;
+  
+  const destructive = [
+    stack.counts.removed > 0 && `${stack.counts.removed} removed`,
+    stack.counts.replaced > 0 && `${stack.counts.replaced} replaced`
+  ].filter(Boolean);
+  const risk = ['high', 'medium'].includes(stack.dataLossRisk) ? `, ${stack.dataLossRisk} data-loss risk` : '';
+  
+  return destructive.length > 0 ?
+    `${destructive.join(', ')} of ${stack.counts.total} change(s)${risk}` :
+    `${stack.counts.total} change(s), no removals or replacements`;
+}
+
+/**
+ * Renders the stack's report for the check run output, at the most detailed level that fits
+ */
+function renderCheckRunSummary(result, display) {
+  if (result.error) return generateErrorSection(result, display);
+  
+  const render = detailLevel => generatePRSection(result.changeset, result.stackName, result.violations, {
+    location: result.location,
+    provenance: result.provenance,
+    stale: result.stale,
+    detailLevel,
+    suppressed: result.suppressed,
+    settings: result.settings,
+    drift: result.drift,
+    display
+  }) + (result.deployment ? generateDeploymentMarkdown(result.deployment, display) : '');
+  
+  const summary = PR_DETAIL_LEVELS.map(render).find(rendered => rendered.length <= MAX_CHECK_SUMMARY_LENGTH);
+  return summary || render(PR_DETAIL_LEVELS[PR_DETAIL_LEVELS.length - 1]).substring(0, MAX_CHECK_SUMMARY_LENGTH);
+}
+
+/**
+ * Builds the check run annotations for a stack's removals, replacements and data-loss risks
+ *
+ * Replacements point at the properties that force them, other changes at their resource. Removed
+ * resources are no longer in the template, so they point at its `Resources` section, and changes
+ * in nested stacks point at the nested stack resource.
+ */
+function buildCheckAnnotations(stack, templateFile) {
+  const templatePath = resolveWorkspacePath(templateFile);
+  let lines;
+  try {
+    lines = indexTemplateLines(fs.readFileSync(templatePath, 'utf8'));
+  } catch (readError) {
+    core.warning(`Unable to read template ${templatePath} for the check run annotations: ${readError.message}`);
+    return [];
+  }
+  
+  // Annotation paths are relative to the repository root
+  const annotationPath = path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), templatePath).split(path.sep).join('/');
+  
+  return flattenModelChanges(stack).flatMap(change => {
+    const rules = sarifRulesFor(change);
+    if (rules.length === 0) return [];
+    
+    const levels = rules.map(rule => sarifLevel(rule, change.dataLossRisk));
+    const level = ['error', 'warning', 'note'].find(candidate => levels.includes(candidate));
+    const [resourceId, ...nestedPath] = change.path.split('/');
+    const resource = lines.resources.get(resourceId);
+    const annotation = {
+      path: annotationPath,
+      annotation_level: CHECK_ANNOTATION_LEVELS[level],
+      title: `${change.path} (${change.resourceType})`,
+      message: describeModelChange(stack.stack, change)
+    };
+    const at = line => ({ ...annotation, start_line: line, end_line: line });
+    
+    if (!resource) return [at(lines.resourcesLine)];
+    
+    const causes = nestedPath.length === 0 ?
+      change.replacementCauses.filter(cause => cause.property && resource.properties.has(cause.property)) :
+      [];
+    if (causes.length === 0) return [at(resource.line)];
+    
+    // One annotation per property, the strongest recreation requirement wins
+    const properties = new Map();
+    causes.forEach(cause => {
+      if (properties.get(cause.property) !== 'Always') properties.set(cause.property, cause.requiresRecreation);
+    });
+    return [...properties].map(([property, requiresRecreation]) => ({
+      ...at(resource.properties.get(property)),
+      title: `Changing ${property} ${requiresRecreation === 'Always' ? 'forces' : 'may force'} replacement of ${change.path}`
+    }));
+  });
+}
+
+/**
+ * Finds the lines of the `Resources` section, each resource and each of their properties in a
+ * YAML or JSON template
+ */
+function indexTemplateLines(text) {
+  // Intrinsic function tags such as !Ref don't change where anything is
+  const document = YAML.parseDocument(text);
+  const lineAt = node => node && node.range ? text.substring(0, node.range[0]).split('\n').length : 1;
+  const pairOf = (map, key) => YAML.isMap(map) ? map.items.find(pair => YAML.isScalar(pair.key) && pair.key.value === key) : undefined;
+  
+  const resourcesPair = pairOf(document.contents, 'Resources');
+  const resources = new Map();
+  
+  if (resourcesPair && YAML.isMap(resourcesPair.value)) {
+    resourcesPair.value.items.forEach(pair => {
+      const propertiesPair = pairOf(pair.value, 'Properties');
+      const properties = new Map(
+        propertiesPair && YAML.isMap(propertiesPair.value) ?
+          propertiesPair.value.items.map(property => [String(property.key.value), lineAt(property.key)]) :
+          []
+      );
+      resources.set(String(pair.key.value), { line: lineAt(pair.key), properties });
+    });
+  }
+  
+  return { resourcesLine: resourcesPair ? lineAt(resourcesPair.key) : 1, resources };
+}
+
+module.exports = {
+  parseCheckRunTemplates,
+  createCheckRuns,
+  indexTemplateLines
+};
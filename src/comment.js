@@ -0,0 +1,494 @@
+const core = require('@actions/core');
+
+const { sleep, matchesAnyPattern, extractStackName } = require('./utils');
+const { CATEGORIES, SEVERITY_ORDER, categoryOf, collectChanges } = require('./changes');
+const { DATA_LOSS_LEVELS } = require('./data-loss');
+const { generateDeploymentMarkdown } = require('./deploy');
+const { generateErrorSection, PR_DETAIL_LEVELS, generatePRSection } = require('./report-markdown');
+
+const COMMENT_MODES = ['single', 'per-stack'];
+
+/**
+ * Reads whether the report is posted as one shared PR comment or one comment per stack
+ */
+function readCommentMode() {
+  const mode = (core.getInput('comment-mode') || 'single').toLowerCase();
+  if (!COMMENT_MODES.includes(mode)) {
+    throw new Error(`Input comment-mode must be one of ${COMMENT_MODES.join(', ')}, got '${mode}'`);
+  }
+  return mode;
+}
+
+// Identifies the shared report comment, and each stack's comment in per-stack mode
+const REPORT_COMMENT_MARKER = '<!-- CloudFormation ChangeSets Report -->';
+
+const STACK_COMMENT_MARKER = 'cfn-changeset-reporter:comment';
+
+// Matches section start markers, and the single marker that sections used to start with
+const SECTION_MARKER_PATTERN = /<!-- cfn-changeset-reporter:start stack=(\S+)(?: account=(\S*))? region=(\S*) sha=(\S*) -->|<!-- CloudFormation ChangeSets for stack: (.+?) -->/g;
+
+// Marks the note added to sections that other jobs wrote for an earlier commit
+const OUTDATED_NOTE_MARKER = '<!-- cfn-changeset-reporter:outdated -->';
+
+const OUTDATED_NOTE_PATTERN = /^.*<!-- cfn-changeset-reporter:outdated -->\n*/m;
+
+const MAX_COMMENT_ATTEMPTS = 5;
+
+const COMMENT_VERIFY_DELAY = 2000;
+
+/**
+ * Posts the report to the PR, either as one shared comment or as one comment per stack
+ *
+ * Parallel jobs (e.g. a matrix over stacks) write to the same comment, so each write is
+ * read back and retried after a random delay if another job overwrote it
+ */
+async function postReportComments(octokit, context, results, { mode, region, ownedStacks = [], display }) {
+  const pullRequest = context.payload.pull_request;
+  const headSha = (pullRequest.head && pullRequest.head.sha) || context.sha;
+  const runUrl = `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`;
+  
+  const entries = results.map(result => {
+    const stackRegion = result.region || region;
+    const accountId = result.accountId || '';
+    return {
+      result,
+      stack: result.stackName,
+      accountId,
+      region: stackRegion,
+      key: sectionKey(result.stackName, accountId, stackRegion)
+    };
+  });
+  const owned = [...ownedStacks, ...entries.map(entry => entry.stack)];
+  
+  if (mode === 'single') {
+    await writeReportComment(octokit, context, {
+      marker: REPORT_COMMENT_MARKER,
+      entries,
+      owned,
+      headSha,
+      runUrl,
+      display
+    });
+    return;
+  }
+  
+  for (const entry of entries) {
+    await writeReportComment(octokit, context, {
+      marker: `<!-- ${STACK_COMMENT_MARKER} stack=${entry.stack}${entry.accountId ? ` account=${entry.accountId}` : ''} region=${entry.region} -->`,
+      entries: [entry],
+      owned,
+      headSha,
+      runUrl,
+      display
+    });
+  }
+  
+  await deleteStaleStackComments(octokit, context, entries, owned, headSha);
+}
+
+/**
+ * Merges this run's stack sections into the comment identified by the marker,
+ * creating it if needed, and verifies the sections survived concurrent writes
+ */
+async function writeReportComment(octokit, context, { marker, entries, owned, headSha, runUrl, display }) {
+  const issue = { ...context.repo, issue_number: context.payload.pull_request.number };
+  
+  for (let attempt = 1; attempt <= MAX_COMMENT_ATTEMPTS; attempt++) {
+    // There should only be one, but two jobs can create it at the same time
+    const [existing] = await listReportComments(octokit, issue, marker);
+    const baseBody = existing ? existing.body : `${marker}\n# CloudFormation Changeset Report\n`;
+    const body = buildCommentBody(baseBody, entries, { owned, headSha, runUrl, display });
+    
+    let commentId;
+    if (existing) {
+      core.debug(`Updating existing CloudFormation report comment (ID: ${existing.id})`);
+      await octokit.rest.issues.updateComment({
+        ...context.repo,
+        comment_id: existing.id,
+        body
+      });
+      commentId = existing.id;
+    } else {
+      core.debug('Creating new CloudFormation report comment');
+      const { data } = await octokit.rest.issues.createComment({
+        ...issue,
+        body
+      });
+      commentId = data.id;
+    }
+    
+    // Let parallel jobs finish their writes, then check that ours is still there
+    await sleep(COMMENT_VERIFY_DELAY * (0.5 + Math.random()));
+    const latest = await listReportComments(octokit, issue, marker);
+    
+    // The oldest comment wins, move our sections there if another job created it first
+    if (latest.length > 0 && latest[0].id !== commentId) {
+      if (latest.some(comment => comment.id === commentId)) {
+        core.info(`Another job created the report comment first, moving this job's sections to comment ${latest[0].id}`);
+        await octokit.rest.issues.deleteComment({
+          ...context.repo,
+          comment_id: commentId
+        });
+      }
+      continue;
+    }
+    
+    if (latest.length > 0 && sectionsMatch(body, latest[0].body, entries)) {
+      return;
+    }
+    
+    core.info(`The report comment was changed by another job, retrying (attempt ${attempt} of ${MAX_COMMENT_ATTEMPTS})`);
+  }
+  
+  throw new Error(`Could not update the report comment after ${MAX_COMMENT_ATTEMPTS} attempts, other jobs kept changing it`);
+}
+
+/**
+ * Lists the PR comments containing the marker, oldest first
+ */
+async function listReportComments(octokit, issue, marker) {
+  // Follow every page so busy PRs don't get a duplicate report
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    ...issue,
+    per_page: 100
+  });
+  
+  core.debug(`Found ${comments.length} total comments on this PR`);
+  
+  return comments
+    .filter(comment => comment.body && comment.body.includes(marker))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Deletes per-stack comments left by earlier commits for stacks this run owns but no longer reports
+ * Comments of stacks owned by other jobs (e.g. another matrix entry) are left to those jobs
+ */
+async function deleteStaleStackComments(octokit, context, entries, owned, headSha) {
+  const ownKeys = new Set(entries.map(entry => entry.key));
+  const comments = await listReportComments(
+    octokit,
+    { ...context.repo, issue_number: context.payload.pull_request.number },
+    `<!-- ${STACK_COMMENT_MARKER} `
+  );
+  
+  for (const comment of comments) {
+    const sections = [...parseCommentBody(comment.body).sections.values()];
+    if (sections.length === 0 || sections.some(section => 
+      section.sha === headSha || 
+      ownKeys.has(sectionKey(section.stack, section.accountId, section.region)) || 
+      !matchesAnyPattern(section.stack, owned)
+    )) {
+      continue;
+    }
+    
+    core.info(`Deleting stale report comment for stack ${sections.map(section => section.stack).join(', ')}`);
+    await octokit.rest.issues.deleteComment({
+      ...context.repo,
+      comment_id: comment.id
+    });
+  }
+}
+
+// GitHub rejects comments over 65536 characters, keep some room for the markers
+const MAX_COMMENT_LENGTH = 65000;
+
+/**
+ * Applies every stack's section to the PR comment body, trimming the detail of the
+ * largest sections until the comment fits within GitHub's size limit
+ *
+ * Sections from earlier commits for stacks this run owns but doesn't report are dropped.
+ * Other jobs' sections from earlier commits are kept and marked with the commit they're from,
+ * and the sections are sorted by stack, account and region.
+ */
+function buildCommentBody(baseBody, entries, { owned = [], headSha, runUrl, display }) {
+  const { header, sections } = parseCommentBody(baseBody);
+  const baselines = entries.map(entry => previousSnapshot(sections.get(entry.key), headSha));
+  const ownKeys = new Set(entries.map(entry => entry.key));
+  
+  for (const [key, section] of sections) {
+    // A section without an account is replaced by this run's section for the same stack and region
+    const superseded = !section.accountId && entries.some(entry => entry.stack === section.stack && entry.region === section.region);
+    if ((section.sha === headSha && !superseded) || ownKeys.has(key)) continue;
+    
+    if (!matchesAnyPattern(section.stack, owned)) {
+      section.content = markOutdatedSection(section);
+      continue;
+    }
+    
+    // Sections from older versions of this action are replaced without a message
+    if (!entries.some(entry => entry.stack === section.stack)) {
+      core.info(`Removing stale section for stack ${section.stack} from the PR comment`);
+    }
+    sections.delete(key);
+  }
+  
+  const levels = entries.map(() => 0);
+  const render = () => entries.map((entry, i) => renderStackSection(entry.result, PR_DETAIL_LEVELS[levels[i]], runUrl, display, baselines[i]));
+  const apply = rendered => {
+    entries.forEach((entry, i) => {
+      sections.set(entry.key, { stack: entry.stack, accountId: entry.accountId, region: entry.region, sha: headSha, content: rendered[i].trim() });
+    });
+    return renderCommentBody(header, sections);
+  };
+  
+  let rendered = render();
+  let body = apply(rendered);
+  
+  while (body.length > MAX_COMMENT_LENGTH) {
+    // Trim the largest section that still has detail left to drop
+    const candidates = entries
+      .map((entry, i) => i)
+      .filter(i => levels[i] < PR_DETAIL_LEVELS.length - 1);
+    if (candidates.length === 0) break;
+    
+    const largest = candidates.reduce((a, b) => rendered[b].length > rendered[a].length ? b : a);
+    levels[largest]++;
+    core.info(`PR comment too long (${body.length} characters), reducing detail for stack ${entries[largest].stack} to '${PR_DETAIL_LEVELS[levels[largest]]}'`);
+    
+    rendered = render();
+    body = apply(rendered);
+  }
+  
+  if (body.length > MAX_COMMENT_LENGTH) {
+    const note = `\n\n---\n${display.icon('warning')}**Report truncated** - the full report is in the job summary of the [workflow run](${runUrl}).`;
+    core.warning(`PR comment still too long (${body.length} characters), truncating it`);
+    body = body.substring(0, MAX_COMMENT_LENGTH - note.length) + note;
+  }
+  
+  return body;
+}
+
+/**
+ * Creates the PR comment section for one stack at the given detail level
+ * With the snapshot from the stack's previous section as `baseline`, the section starts with what changed since then.
+ * Only sections with their full detail carry a snapshot of their own.
+ */
+function renderStackSection(result, detailLevel, runUrl, display, baseline = null) {
+  if (result.error) return generateErrorSection(result, display);
+  
+  const changes = buildChangeSnapshot(result);
+  let markdownSection = generatePRSection(result.changeset, result.stackName, result.violations, {
+    location: result.location,
+    provenance: result.provenance,
+    stale: result.stale,
+    detailLevel,
+    suppressed: result.suppressed,
+    settings: result.settings,
+    drift: result.drift,
+    delta: changes && baseline ? compareSnapshots(baseline, changes) : null,
+    display
+  });
+  // The snapshot grows with the number of changes, so trimming the section drops it too
+  const keepSnapshot = changes && detailLevel === 'full';
+  if (detailLevel !== 'full') {
+    const snapshotNote = changes ? ' The next commit\'s report can\'t show what changed since this one.' : '';
+    markdownSection += `\n\n> ${display.icon('info')}Some details were left out to fit GitHub's comment size limit.${snapshotNote} The [workflow run](${runUrl}) job summary and logs have the full report.`;
+  }
+  if (result.deployment) {
+    markdownSection += generateDeploymentMarkdown(result.deployment, display);
+  }
+  if (keepSnapshot) {
+    markdownSection += `\n\n${formatSnapshotComment({ changes, ...(baseline ? { base: baseline } : {}) })}`;
+  }
+  return markdownSection;
+}
+
+/**
+ * Notes below the heading of another job's section that it was written for an earlier commit
+ */
+function markOutdatedSection(section) {
+  const content = section.content.replace(OUTDATED_NOTE_PATTERN, '').trim();
+  const commit = section.sha ? `\`${section.sha.substring(0, 7)}\`` : 'an earlier commit';
+  const note = `> 🕓 From ${commit}, this stack hasn't been reported for the latest commit yet ${OUTDATED_NOTE_MARKER}`;
+  
+  // Keep the note below the stack heading
+  if (!content.startsWith('## ')) return `${note}\n\n${content}`;
+  const headingEnd = content.indexOf('\n');
+  if (headingEnd === -1) return `${content}\n\n${note}`;
+  return `${content.substring(0, headingEnd)}\n\n${note}\n\n${content.substring(headingEnd).trim()}`;
+}
+
+// Hidden comment holding the classified changes of a stack's section, for the next commit's run to compare with
+const SNAPSHOT_PATTERN = /<!-- cfn-changeset-reporter:snapshot (.*?) -->/;
+
+/**
+ * Lists a stack's changes as compact `[logical ID, type, category, data-loss risk]` entries
+ * Only the high and medium risks the report lists are kept. Stacks without a changeset and
+ * failed changesets have nothing to compare, so they get no snapshot.
+ */
+function buildChangeSnapshot(result) {
+  if (result.noChangesetFound || result.failed) return null;
+  
+  return collectChanges(result.changeset).map(({ ResourceChange: resource }) => {
+    const risk = (resource.DataLossRisk || {}).level;
+    return [
+      resource.LogicalResourceId,
+      resource.ResourceType,
+      categoryOf(resource).key,
+      ['high', 'medium'].includes(risk) ? risk : 'none'
+    ];
+  });
+}
+
+function formatSnapshotComment(snapshot) {
+  // `--` can't appear inside an HTML comment, JSON reads the escape back as the same text
+  return `<!-- cfn-changeset-reporter:snapshot ${JSON.stringify(snapshot).replace(/--/g, '-\\u002d')} -->`;
+}
+
+/**
+ * Returns the snapshot of the previous commit to compare a stack's changes with, from its existing section
+ * A rerun for the same commit keeps comparing with the snapshot the section was first compared with.
+ */
+function previousSnapshot(section, headSha) {
+  const match = section && SNAPSHOT_PATTERN.exec(section.content);
+  if (!match) return null;
+  
+  let snapshot;
+  try {
+    snapshot = JSON.parse(match[1]);
+  } catch (error) {
+    core.debug(`Ignoring unreadable snapshot in the section for stack ${section.stack}: ${error.message}`);
+    return null;
+  }
+  
+  // The comment can be edited by hand, only use snapshots that still have the shape this action writes
+  if (section.sha === headSha) {
+    const base = snapshot && snapshot.base;
+    return base && typeof base.sha === 'string' && isSnapshotChanges(base.changes) ? base : null;
+  }
+  return snapshot && isSnapshotChanges(snapshot.changes) ? { sha: section.sha, changes: snapshot.changes } : null;
+}
+
+function isSnapshotChanges(changes) {
+  return Array.isArray(changes) && changes.every(change => Array.isArray(change) && typeof change[0] === 'string');
+}
+
+/**
+ * Compares a stack's changes with the previous commit's snapshot
+ * Returns the changes that are new, the ones that are resolved and the ones that escalated to
+ * a more destructive category or a higher data-loss risk, e.g. a Modify that became a replacement
+ */
+function compareSnapshots(baseline, changes) {
+  const toEntry = ([logicalResourceId, resourceType, category, dataLossRisk]) => ({ logicalResourceId, resourceType, category, dataLossRisk });
+  const before = new Map(baseline.changes.map(change => [change[0], toEntry(change)]));
+  const after = new Map(changes.map(change => [change[0], toEntry(change)]));
+  
+  const escalated = [];
+  after.forEach((entry, id) => {
+    const previous = before.get(id);
+    if (previous && (categorySeverity(entry.category) < categorySeverity(previous.category) ||
+        DATA_LOSS_LEVELS.indexOf(entry.dataLossRisk) < DATA_LOSS_LEVELS.indexOf(previous.dataLossRisk))) {
+      escalated.push({ ...entry, previous });
+    }
+  });
+  
+  return {
+    sha: baseline.sha,
+    added: [...after.values()].filter(entry => !before.has(entry.logicalResourceId)),
+    resolved: [...before.values()].filter(entry => !after.has(entry.logicalResourceId)),
+    escalated
+  };
+}
+
+// Categories from older snapshots that no longer exist rank as the least severe
+function categorySeverity(key) {
+  const category = CATEGORIES.find(entry => entry.key === key);
+  return category ? SEVERITY_ORDER.indexOf(category.group) : SEVERITY_ORDER.length;
+}
+
+function sectionKey(stack, accountId, region) {
+  return `${stack} ${accountId} ${region}`;
+}
+
+// Sections written before accounts were labelled have no account in their markers
+function sectionMarkerAttributes(section) {
+  return `stack=${section.stack}${section.accountId ? ` account=${section.accountId}` : ''} region=${section.region}`;
+}
+
+function sectionEndMarker(section) {
+  return `<!-- cfn-changeset-reporter:end ${sectionMarkerAttributes(section)} -->`;
+}
+
+/**
+ * Lists the stack names and patterns from the stack-name and targets inputs, the stacks this run
+ * is responsible for in a comment that other jobs write to as well
+ */
+function ownedStackPatterns(targetSpecs) {
+  return targetSpecs.map(spec => extractStackName(spec.stack));
+}
+
+/**
+ * Splits a PR comment body into the text before the first stack section and the
+ * sections keyed by stack, account and region
+ *
+ * Each section runs from its start marker to its end marker. Sections written by older
+ * versions only have a start marker and run until the next section.
+ */
+function parseCommentBody(body) {
+  const text = body.replace(/\r\n/g, '\n');
+  const markers = [...text.matchAll(SECTION_MARKER_PATTERN)];
+  const sections = new Map();
+  
+  markers.forEach((match, i) => {
+    const start = match.index + match[0].length;
+    const next = i + 1 < markers.length ? markers[i + 1].index : text.length;
+    
+    const section = match[5] !== undefined ?
+      { stack: match[5], accountId: '', region: '', sha: '' } :
+      { stack: match[1], accountId: match[2] || '', region: match[3], sha: match[4] };
+    
+    // A missing end marker (e.g. a truncated comment) ends the section at the next one
+    const end = match[5] !== undefined ? -1 : text.indexOf(sectionEndMarker(section), start);
+    section.content = text.substring(start, end !== -1 && end < next ? end : next).trim();
+    
+    sections.set(sectionKey(section.stack, section.accountId, section.region), section);
+  });
+  
+  return {
+    header: markers.length > 0 ? text.substring(0, markers[0].index) : text,
+    sections
+  };
+}
+
+/**
+ * Joins the header and the stack sections, sorted by stack, account and region, into a comment body
+ */
+function renderCommentBody(header, sections) {
+  const compare = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+  const ordered = [...sections.values()].sort((a, b) =>
+    compare(a.stack, b.stack) || compare(a.accountId, b.accountId) || compare(a.region, b.region)
+  );
+  
+  return [
+    header.trimEnd(),
+    ...ordered.map(section =>
+      `<!-- cfn-changeset-reporter:start ${sectionMarkerAttributes(section)} sha=${section.sha} -->\n` +
+      `${section.content}\n` +
+      sectionEndMarker(section)
+    )
+  ].join('\n\n');
+}
+
+/**
+ * Checks that this run's sections read back from the comment are the ones it wrote
+ */
+function sectionsMatch(expectedBody, actualBody, entries) {
+  const expected = parseCommentBody(expectedBody).sections;
+  const actual = parseCommentBody(actualBody).sections;
+  
+  return entries.every(entry =>
+    actual.has(entry.key) && actual.get(entry.key).content === expected.get(entry.key).content
+  );
+}
+
+module.exports = {
+  readCommentMode,
+  postReportComments,
+  buildCommentBody,
+  previousSnapshot,
+  compareSnapshots,
+  ownedStackPatterns,
+  parseCommentBody,
+  renderCommentBody
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const core = require('@actions/core');
+const YAML = require('yaml');
+
+const { splitList, resolveWorkspacePath, sleep, extractStackName } = require('./utils');
+const { commitProvenance, formatProvenance } = require('./changeset-selection');
+
+/**
+ * Reads the template inputs used to create the changeset as part of the action
+ * Returns null when neither template-file nor template-url is set, so an existing changeset is reported on
+ */
+function readTemplateOptions(context) {
+  const templateFile = core.getInput('template-file');
+  const templateUrl = core.getInput('template-url');
+  if (!templateFile && !templateUrl) return null;
+  
+  if (templateFile && templateUrl) {
+    throw new Error('Only one of template-file and template-url can be set');
+  }
+  
+  const options = {
+    parameters: loadParametersFile(core.getInput('parameters-file')),
+    capabilities: parseCapabilities(core.getInput('capabilities')),
+    tags: parseTags(core.getInput('tags')),
+    changesetType: (core.getInput('changeset-type') || 'auto').toUpperCase(),
+    defaultChangesetName: deriveChangesetName(context),
+    description: formatProvenance(commitProvenance(context))
+  };
+  
+  if (!['AUTO', 'CREATE', 'UPDATE'].includes(options.changesetType)) {
+    throw new Error(`Input changeset-type must be auto, CREATE or UPDATE, got '${options.changesetType}'`);
+  }
+  
+  if (templateUrl) {
+    options.templateUrl = templateUrl;
+  } else {
+    const templatePath = resolveWorkspacePath(templateFile);
+    try {
+      options.templateBody = fs.readFileSync(templatePath, 'utf8');
+    } catch (readError) {
+      throw new Error(`Unable to read template file ${templatePath}: ${readError.message}`);
+    }
+    
+    if (Buffer.byteLength(options.templateBody) > MAX_TEMPLATE_BODY_BYTES) {
+      throw new Error(`Template file ${templatePath} is larger than ${MAX_TEMPLATE_BODY_BYTES} bytes, upload it to S3 and use template-url instead`);
+    }
+  }
+  
+  return options;
+}
+
+const MAX_TEMPLATE_BODY_BYTES = 51200;
+
+/**
+ * Creates a changeset for the stack from the template inputs and returns its name and type
+ * The changeset is not waited for here, reportOnStack waits for it like any other changeset.
+ * A changeset left over from an earlier run of the same commit is deleted and created again.
+ */
+async function createChangeSetForStack(cloudformation, target, options, waitOptions) {
+  const changesetName = target.changesetName || options.defaultChangesetName;
+  const changesetType = options.changesetType === 'AUTO' ?
+    await detectChangeSetType(cloudformation, target.rawStackName) :
+    options.changesetType;
+  const params = {
+    StackName: target.rawStackName,
+    ChangeSetName: changesetName,
+    ChangeSetType: changesetType,
+    TemplateBody: options.templateBody,
+    TemplateURL: options.templateUrl,
+    Parameters: options.parameters,
+    Capabilities: options.capabilities,
+    Tags: options.tags,
+    Description: options.description,
+    IncludeNestedStacks: true
+  };
+  
+  core.info(`Creating ${changesetType} changeset ${changesetName} for stack ${extractStackName(target.rawStackName)}...`);
+  
+  try {
+    await cloudformation.createChangeSet(params);
+  } catch (error) {
+    if (error.name !== 'AlreadyExistsException') throw error;
+    
+    core.info(`Changeset ${changesetName} already exists, replacing it...`);
+    await deleteChangeSetAndWait(cloudformation, { StackName: params.StackName, ChangeSetName: changesetName }, waitOptions);
+    await cloudformation.createChangeSet(params);
+  }
+  
+  return { changesetName, changesetType };
+}
+
+/**
+ * Deletes the changeset and polls until CloudFormation no longer knows it,
+ * nested changesets are deleted asynchronously
+ */
+async function deleteChangeSetAndWait(cloudformation, params, { timeout, interval }) {
+  await cloudformation.deleteChangeSet(params);
+  const deadline = Date.now() + timeout * 1000;
+  
+  for (;;) {
+    try {
+      await cloudformation.describeChangeSet(params);
+    } catch (error) {
+      if (error.name === 'ChangeSetNotFoundException' || /does not exist/i.test(error.message)) return;
+      throw error;
+    }
+    
+    if (Date.now() + interval * 1000 > deadline) {
+      throw new Error(`Timed out after ${timeout}s waiting for changeset ${params.ChangeSetName} to be deleted`);
+    }
+    await sleep(interval * 1000);
+  }
+}
+
+/**
+ * Picks CREATE for stacks that don't exist yet (or only exist from an earlier CREATE changeset), UPDATE otherwise
+ */
+async function detectChangeSetType(cloudformation, rawStackName) {
+  try {
+    const { Stacks } = await cloudformation.describeStacks({ StackName: rawStackName });
+    const stack = Stacks && Stacks[0];
+    return stack && stack.StackStatus !== 'REVIEW_IN_PROGRESS' ? 'UPDATE' : 'CREATE';
+  } catch (error) {
+    if (/does not exist/i.test(error.message)) return 'CREATE';
+    throw error;
+  }
+}
+
+/**
+ * Deletes the empty stack a CREATE changeset leaves behind, as long as nothing was ever deployed to it
+ */
+async function deleteReviewStack(cloudformation, result) {
+  const { Stacks } = await cloudformation.describeStacks({ StackName: result.rawStackName });
+  const stack = Stacks && Stacks[0];
+  
+  if (stack && stack.StackStatus === 'REVIEW_IN_PROGRESS') {
+    core.info(`Deleting empty stack ${result.stackName} left behind by the CREATE changeset...`);
+    await cloudformation.deleteStack({ StackName: result.rawStackName });
+  }
+}
+
+/**
+ * Changeset names are derived from the PR number and commit SHA, e.g. `pr-42-1a2b3c4`
+ * Outside of PRs the name is based on the commit alone, e.g. `commit-1a2b3c4`
+ */
+function deriveChangesetName(context) {
+  const pullRequest = context.payload && context.payload.pull_request;
+  const sha = ((pullRequest && pullRequest.head && pullRequest.head.sha) || context.sha || '').substring(0, 7);
+  
+  if (pullRequest) {
+    return sha ? `pr-${pullRequest.number}-${sha}` : `pr-${pullRequest.number}`;
+  }
+  return sha ? `commit-${sha}` : `changeset-${Date.now()}`;
+}
+
+/**
+ * Loads stack parameters from a JSON or YAML file
+ * Accepts the CLI format (`[{ ParameterKey, ParameterValue }]`), a plain `{ Key: Value }` map,
+ * or either of those under a top-level `Parameters` key
+ */
+function loadParametersFile(parametersFile) {
+  if (!parametersFile) return undefined;
+  
+  const parametersPath = resolveWorkspacePath(parametersFile);
+  let parsed;
+  try {
+    parsed = YAML.parse(fs.readFileSync(parametersPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(`Unable to read parameters file ${parametersPath}: ${readError.message}`);
+  }
+  
+  if (parsed && !Array.isArray(parsed) && parsed.Parameters) {
+    parsed = parsed.Parameters;
+  }
+  
+  if (Array.isArray(parsed)) {
+    return parsed.map(parameter => {
+      if (!parameter || !parameter.ParameterKey) {
+        throw new Error(`Invalid parameters file ${parametersPath}: every entry needs a ParameterKey`);
+      }
+      return parameter.UsePreviousValue ?
+        { ParameterKey: parameter.ParameterKey, UsePreviousValue: true } :
+        { ParameterKey: parameter.ParameterKey, ParameterValue: String(parameter.ParameterValue) };
+    });
+  }
+  
+  if (parsed && typeof parsed === 'object') {
+    return Object.entries(parsed).map(([key, value]) => ({
+      ParameterKey: key,
+      ParameterValue: Array.isArray(value) ? value.join(',') : String(value)
+    }));
+  }
+  
+  throw new Error(`Invalid parameters file ${parametersPath}: expected a list of parameters or a map of values`);
+}
+
+/**
+ * Parses the capabilities input, which may also be space separated like the AWS CLI option
+ */
+function parseCapabilities(capabilitiesInput) {
+  const capabilities = splitList(capabilitiesInput).flatMap(item => item.split(/\s+/));
+  return capabilities.length > 0 ? capabilities : undefined;
+}
+
+/**
+ * Parses the tags input: newline or comma separated `Key=Value` pairs
+ */
+function parseTags(tagsInput) {
+  const tags = splitList(tagsInput).map(pair => {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid tag '${pair}', expected Key=Value`);
+    }
+    return { Key: pair.substring(0, separator).trim(), Value: pair.substring(separator + 1).trim() };
+  });
+  
+  return tags.length > 0 ? tags : undefined;
+}
+
+module.exports = {
+  readTemplateOptions,
+  createChangeSetForStack,
+  deleteReviewStack
+};
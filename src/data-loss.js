@@ -0,0 +1,217 @@
+const core = require('@actions/core');
+const YAML = require('yaml');
+
+const { splitList, matchesAnyPattern } = require('./utils');
+const { collectChanges, categorizeChange } = require('./changes');
+
+// Resource types that hold data, so removing or replacing them can lose it
+const STATEFUL_RESOURCE_TYPES = [
+  'AWS::RDS::DBInstance', 'AWS::RDS::DBCluster', 'AWS::Neptune::DBCluster', 'AWS::DocDB::DBCluster',
+  'AWS::Redshift::Cluster', 'AWS::DynamoDB::Table', 'AWS::DynamoDB::GlobalTable', 'AWS::Cassandra::Table',
+  'AWS::Timestream::Table', 'AWS::S3::Bucket', 'AWS::EFS::FileSystem', 'AWS::FSx::FileSystem', 'AWS::EC2::Volume',
+  'AWS::ElastiCache::ReplicationGroup', 'AWS::ElastiCache::CacheCluster', 'AWS::MemoryDB::Cluster',
+  'AWS::OpenSearchService::Domain', 'AWS::Elasticsearch::Domain', 'AWS::Kinesis::Stream', 'AWS::SQS::Queue',
+  'AWS::MSK::Cluster', 'AWS::Cognito::UserPool', 'AWS::KMS::Key', 'AWS::SecretsManager::Secret',
+  'AWS::Logs::LogGroup', 'AWS::ECR::Repository', 'AWS::Backup::BackupVault'
+];
+
+// CloudFormation takes a final snapshot of these when they're deleted without a DeletionPolicy
+const SNAPSHOT_BY_DEFAULT_TYPES = ['AWS::RDS::DBInstance', 'AWS::RDS::DBCluster'];
+
+const DATA_LOSS_LEVELS = ['high', 'medium', 'low', 'none'];
+
+/**
+ * Returns the built-in stateful resource types extended with the comma or newline separated
+ * types (or `*` patterns) of the stateful-resource-types input
+ */
+function statefulResourceTypes(extraTypesInput) {
+  return [...STATEFUL_RESOURCE_TYPES, ...splitList(extraTypesInput)];
+}
+
+/**
+ * Reads the DeletionPolicy and UpdateReplacePolicy of the resources in the deployed template and
+ * in the changeset's template, for the changeset and each of its nested changesets
+ * They're attached as `ResourcePolicies` and only read when a removal or replacement has no
+ * `PolicyAction` from CloudFormation, which older changesets don't report
+ */
+async function describeResourcePolicies(cloudformation, changeset) {
+  const needsPolicies = (changeset.Changes || []).some(change => {
+    const resource = change.ResourceChange;
+    return resource && isDestructiveChange(resource) && !resource.PolicyAction;
+  });
+  
+  const nested = Promise.all((changeset.NestedChangeSets || []).map(entry => describeResourcePolicies(cloudformation, entry.changeset)));
+  
+  if (needsPolicies) {
+    const [deployed, planned] = await Promise.all([
+      readTemplatePolicies(cloudformation, { StackName: changeset.StackId }),
+      readTemplatePolicies(cloudformation, { StackName: changeset.StackId, ChangeSetName: changeset.ChangeSetId })
+    ]);
+    changeset.ResourcePolicies = { deployed, planned };
+  }
+  
+  await nested;
+  return changeset;
+}
+
+/**
+ * Reads a template's resource policies by logical ID, or returns null when the template can't be read
+ * so the ratings fall back to CloudFormation's default policies
+ */
+async function readTemplatePolicies(cloudformation, params) {
+  try {
+    const { TemplateBody } = await cloudformation.getTemplate({ ...params, TemplateStage: 'Processed' });
+    
+    // YAML is a superset of JSON, and short-form tags like !Ref only matter for properties
+    const template = YAML.parse(TemplateBody || '{}', { logLevel: 'silent' }) || {};
+    return Object.fromEntries(Object.entries(template.Resources || {}).map(([logicalId, resource]) => [
+      logicalId,
+      { DeletionPolicy: (resource || {}).DeletionPolicy, UpdateReplacePolicy: (resource || {}).UpdateReplacePolicy }
+    ]));
+  } catch (error) {
+    core.info(`Unable to read the template of ${params.ChangeSetName || params.StackName}, default deletion policies are assumed: ${error.message}`);
+    return null;
+  }
+}
+
+function isDestructiveChange(resource) {
+  const group = categorizeChange(resource);
+  return group === 'Removed resources' || group === 'Will be replaced';
+}
+
+/**
+ * Rates every resource change of a changeset and its nested changesets for data-loss risk
+ * The rating is attached to the resource change as `DataLossRisk`, see `rateDataLossRisk`
+ */
+function rateDataLossRisks(changeset, statefulTypes = STATEFUL_RESOURCE_TYPES) {
+  const policies = changeset.ResourcePolicies || {};
+  const rated = {
+    ...changeset,
+    Changes: (changeset.Changes || []).map(change => ({
+      ...change,
+      ResourceChange: { ...change.ResourceChange, DataLossRisk: rateDataLossRisk(change.ResourceChange, policies, statefulTypes) }
+    }))
+  };
+  
+  if (changeset.NestedChangeSets) {
+    rated.NestedChangeSets = changeset.NestedChangeSets.map(nested => ({ ...nested, changeset: rateDataLossRisks(nested.changeset, statefulTypes) }));
+  }
+  
+  return rated;
+}
+
+/**
+ * Rates one resource change for data-loss risk:
+ * - `high` - a stateful resource is deleted, or always replaced, and its data isn't kept
+ * - `medium` - a stateful resource is deleted after a final snapshot, or may be replaced without keeping its data
+ * - `low` - the resource is retained, or isn't a stateful resource type
+ * - `none` - the change neither removes nor replaces the resource
+ *
+ * `policy` is what happens to the old physical resource: `Delete`, `Snapshot` or `Retain`. It comes from
+ * the changeset's `PolicyAction` when CloudFormation reports one, then from the template's DeletionPolicy
+ * (removals) or UpdateReplacePolicy (replacements), then from CloudFormation's defaults.
+ */
+function rateDataLossRisk(resource, policies, statefulTypes) {
+  const stateful = matchesAnyPattern(resource.ResourceType, statefulTypes);
+  if (!isDestructiveChange(resource)) {
+    return { level: 'none', stateful, policy: null, policySource: null, reason: null };
+  }
+  
+  const removed = resource.Action === 'Remove';
+  const { policy, policySource, label } = resolveDeletionPolicy(resource, policies, removed);
+  
+  let level;
+  let outcome;
+  if (policy === 'Retain') {
+    level = 'low';
+    outcome = removed ? 'the resource is retained and only removed from the stack' : 'the old resource is retained after the replacement';
+  } else if (!stateful) {
+    level = 'low';
+    outcome = `${resource.ResourceType} isn't a stateful resource type`;
+  } else if (policy === 'Snapshot') {
+    level = 'medium';
+    outcome = removed ? 'the resource is deleted after a final snapshot' : 'the old resource is deleted after a final snapshot';
+  } else if (removed) {
+    level = 'high';
+    outcome = 'the resource and its data are permanently deleted';
+  } else if (resource.Replacement === 'Conditional') {
+    level = 'medium';
+    outcome = 'if CloudFormation replaces it, the old resource and its data are permanently deleted';
+  } else {
+    level = 'high';
+    outcome = 'the old resource and its data are permanently deleted';
+  }
+  
+  return { level, stateful, policy, policySource, reason: `${outcome} (${label})` };
+}
+
+/**
+ * Works out what happens to the old physical resource of a removal or replacement
+ */
+function resolveDeletionPolicy(resource, policies, removed) {
+  if (resource.PolicyAction) {
+    return {
+      policy: resource.PolicyAction.replace(/^ReplaceAnd/, ''),
+      policySource: 'changeset',
+      label: `PolicyAction ${resource.PolicyAction}`
+    };
+  }
+  
+  const attribute = removed ? 'DeletionPolicy' : 'UpdateReplacePolicy';
+  // Removals keep the deployed template's policy, replacements use the one they're deployed with
+  const templates = removed ? [policies.deployed] : [policies.planned, policies.deployed];
+  const template = templates.find(entry => entry && entry[resource.LogicalResourceId]);
+  const value = template && template[resource.LogicalResourceId][attribute];
+  
+  if (['Delete', 'Retain', 'Snapshot', 'RetainExceptOnCreate'].includes(value)) {
+    return { policy: value === 'RetainExceptOnCreate' ? 'Retain' : value, policySource: 'template', label: `${attribute} ${value}` };
+  }
+  
+  const policy = removed && SNAPSHOT_BY_DEFAULT_TYPES.includes(resource.ResourceType) ? 'Snapshot' : 'Delete';
+  return { policy, policySource: 'default', label: `no ${attribute}, CloudFormation defaults to ${policy}` };
+}
+
+/**
+ * Lists the changes of a changeset and its nested stacks rated `high` or `medium`, riskiest first,
+ * with nested resources prefixed by their parent's logical ID
+ */
+function collectDataLossRisks(changeset) {
+  return collectChanges(changeset)
+    .map(change => change.ResourceChange)
+    .filter(resource => resource.DataLossRisk && ['high', 'medium'].includes(resource.DataLossRisk.level))
+    .sort((a, b) => DATA_LOSS_LEVELS.indexOf(a.DataLossRisk.level) - DATA_LOSS_LEVELS.indexOf(b.DataLossRisk.level));
+}
+
+/**
+ * Returns the highest data-loss risk level among the given levels
+ */
+function highestDataLossLevel(levels) {
+  return DATA_LOSS_LEVELS.find(level => levels.includes(level)) || 'none';
+}
+
+// How each data-loss risk level is labelled in the reports
+const DATA_LOSS_LABELS = {
+  high: { icon: 'remove', role: 'failure' },
+  medium: { icon: 'warning', role: 'warning' },
+  low: { icon: 'info', role: 'muted' }
+};
+
+/**
+ * Returns what happens to a removed or replaced resource: `Delete`, `Snapshot` or `Retain`
+ * Changes that weren't rated are assumed to be deleted
+ */
+function deletionPolicyOf(resource) {
+  return (resource.DataLossRisk && resource.DataLossRisk.policy) || 'Delete';
+}
+
+module.exports = {
+  DATA_LOSS_LEVELS,
+  statefulResourceTypes,
+  describeResourcePolicies,
+  rateDataLossRisks,
+  rateDataLossRisk,
+  collectDataLossRisks,
+  highestDataLossLevel,
+  DATA_LOSS_LABELS,
+  deletionPolicyOf
+};
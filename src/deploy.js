@@ -0,0 +1,304 @@
+const core = require('@actions/core');
+
+const { parseSeconds, sleep, logReport } = require('./utils');
+const { DEFAULT_DISPLAY } = require('./display');
+const { countChanges } = require('./changes');
+const { collectDataLossRisks } = require('./data-loss');
+
+const EXECUTE_CONDITIONS = ['always', 'policy-pass', 'no-replacements', 'no-destructive', 'no-data-loss'];
+
+const SUCCESSFUL_STACK_STATUSES = ['CREATE_COMPLETE', 'UPDATE_COMPLETE', 'IMPORT_COMPLETE'];
+
+const DEFAULT_EXECUTE_TIMEOUT = 3600;
+
+/**
+ * Reads the inputs for executing the reported changeset
+ * Returns null when execute-changeset is not enabled
+ */
+function readExecuteOptions(waitOptions) {
+  if (core.getInput('execute-changeset').toLowerCase() !== 'true') return null;
+  
+  const condition = (core.getInput('execute-condition') || 'policy-pass').toLowerCase();
+  if (!EXECUTE_CONDITIONS.includes(condition)) {
+    throw new Error(`Input execute-condition must be one of ${EXECUTE_CONDITIONS.join(', ')}, got '${condition}'`);
+  }
+  
+  return {
+    condition,
+    timeout: parseSeconds(core.getInput('execute-timeout'), 'execute-timeout', DEFAULT_EXECUTE_TIMEOUT),
+    interval: Math.max(waitOptions.interval, 1)
+  };
+}
+
+/**
+ * Explains why a stack's changeset should not be executed, or returns null when it can be
+ */
+function executeBlockedReason(result, condition) {
+  if (result.noChangesetFound) return 'no changeset was found';
+  if (result.error) return 'the changeset could not be read';
+  if (result.fromFile) return 'the changeset was loaded from a file';
+  if (result.noChanges) return 'the changeset contains no changes';
+  if (result.failed) return 'the changeset failed';
+  
+  const counts = countChanges(result.unfilteredChangeset);
+  const policyFailed = result.violations.some(violation => violation.level === 'fail');
+  
+  if (condition === 'policy-pass' && policyFailed) return 'the policy check failed';
+  if (condition === 'no-replacements' && counts['Will be replaced'] > 0) return 'it replaces resources';
+  if (condition === 'no-destructive' && (counts['Will be replaced'] > 0 || counts['Removed resources'] > 0)) {
+    return 'it replaces or removes resources';
+  }
+  if (condition === 'no-data-loss' && collectDataLossRisks(result.unfilteredChangeset).some(resource => resource.DataLossRisk.level === 'high')) {
+    return 'it risks losing data';
+  }
+  return null;
+}
+
+/**
+ * Executes the stack's changeset, tails the stack events into the log until the stack settles
+ * and returns a summary of the outcome
+ */
+async function deployStack(cloudformation, result, options, display) {
+  const blockedReason = executeBlockedReason(result, options.condition);
+  if (blockedReason) {
+    core.warning(`Not executing changeset for stack ${result.stackName}: ${blockedReason}`);
+    return { executed: false, skippedReason: blockedReason };
+  }
+  
+  // Remember the newest event so only events from this deployment are shown
+  const seenEventIds = new Set();
+  const events = [];
+  let startedAt = Date.now();
+  let stackStatus;
+  
+  try {
+    const { StackEvents } = await cloudformation.describeStackEvents({ StackName: result.rawStackName });
+    const lastEventId = StackEvents && StackEvents.length > 0 ? StackEvents[0].EventId : null;
+    
+    core.info(display.paint('heading', `── Executing changeset ${result.changesetName} on ${result.stackName} ──`));
+    startedAt = Date.now();
+    await cloudformation.executeChangeSet({
+      ChangeSetName: result.changesetName,
+      StackName: result.rawStackName
+    });
+    
+    const deadline = startedAt + options.timeout * 1000;
+    
+    for (;;) {
+      await sleep(options.interval * 1000);
+      
+      // Read the status before the events so the events that settled the stack are always printed
+      const { Stacks } = await cloudformation.describeStacks({ StackName: result.rawStackName });
+      if (!Stacks || Stacks.length === 0) {
+        throw new Error(`Stack ${result.stackName} was not found while waiting for the deployment`);
+      }
+      stackStatus = Stacks[0].StackStatus;
+      
+      const newEvents = await fetchNewStackEvents(cloudformation, result.rawStackName, lastEventId, seenEventIds);
+      newEvents.forEach(event => {
+        events.push(event);
+        core.info(formatStackEvent(event, display));
+      });
+      
+      if (!stackStatus.endsWith('_IN_PROGRESS')) break;
+      
+      if (Date.now() > deadline) {
+        core.warning(`Stopped waiting for stack ${result.stackName} after ${options.timeout}s (status: ${stackStatus})`);
+        break;
+      }
+    }
+  } catch (error) {
+    // Record the failure instead of throwing so the remaining stacks are still deployed and reported
+    core.warning(`Deployment of stack ${result.stackName} failed: ${error.message}`);
+    const deployment = { ...summarizeDeployment(result, events, 'FAILED', Date.now() - startedAt), error: error.message };
+    logReport(generateDeploymentReport(deployment, display));
+    return deployment;
+  }
+  
+  const deployment = summarizeDeployment(result, events, stackStatus, Date.now() - startedAt);
+  logReport(generateDeploymentReport(deployment, display));
+  return deployment;
+}
+
+/**
+ * Fetches the stack events that are newer than the last one seen, oldest first
+ * Events come back newest first, so paging stops at the first event that was already seen
+ */
+async function fetchNewStackEvents(cloudformation, rawStackName, lastEventId, seenEventIds) {
+  const events = [];
+  let nextToken;
+  let reachedSeenEvent = false;
+  
+  do {
+    const page = await cloudformation.describeStackEvents(
+      nextToken ? { StackName: rawStackName, NextToken: nextToken } : { StackName: rawStackName }
+    );
+    
+    for (const event of page.StackEvents || []) {
+      if (event.EventId === lastEventId || seenEventIds.has(event.EventId)) {
+        reachedSeenEvent = true;
+        break;
+      }
+      events.push(event);
+    }
+    
+    nextToken = page.NextToken;
+  } while (nextToken && !reachedSeenEvent);
+  
+  events.forEach(event => seenEventIds.add(event.EventId));
+  return events.reverse();
+}
+
+/**
+ * Picks the display role for a stack or resource status
+ */
+function statusRole(status) {
+  if (!status) return 'strong';
+  if (status.includes('FAILED')) return 'failure';
+  if (status.includes('ROLLBACK')) return 'rollback';
+  if (status.endsWith('_IN_PROGRESS')) return 'pending';
+  if (status === 'DELETE_COMPLETE' || status === 'DELETE_SKIPPED') return 'muted';
+  if (status.endsWith('_COMPLETE') || status.endsWith('_SUCCEEDED')) return 'success';
+  return 'strong';
+}
+
+/**
+ * Formats a stack event as a single log line
+ */
+function formatStackEvent(event, display) {
+  const { paint } = display;
+  const time = new Date(event.Timestamp).toISOString().substring(11, 19);
+  const reason = event.ResourceStatusReason ? ` ${paint('muted', event.ResourceStatusReason)}` : '';
+  return `${paint('muted', time)} ${paint(statusRole(event.ResourceStatus), event.ResourceStatus)} ${paint('strong', event.LogicalResourceId)} (${paint('muted', event.ResourceType)})${reason}`;
+}
+
+/**
+ * Reduces the deployment's events to the final status of every resource, the failures and the rollback reasons
+ */
+function summarizeDeployment(result, events, stackStatus, durationMs) {
+  const resources = new Map();
+  const failedResources = [];
+  const rollbackReasons = [];
+  
+  events.forEach(event => {
+    // The stack's own events carry the rollback reasons, the rest are per resource
+    if (event.ResourceType === 'AWS::CloudFormation::Stack' && event.LogicalResourceId === result.stackName) {
+      if (event.ResourceStatus.includes('ROLLBACK_IN_PROGRESS') && event.ResourceStatusReason) {
+        rollbackReasons.push(event.ResourceStatusReason);
+      }
+      return;
+    }
+    
+    resources.set(event.LogicalResourceId, {
+      logicalResourceId: event.LogicalResourceId,
+      resourceType: event.ResourceType,
+      status: event.ResourceStatus,
+      reason: event.ResourceStatusReason
+    });
+    
+    if (event.ResourceStatus.endsWith('_FAILED')) {
+      failedResources.push({
+        logicalResourceId: event.LogicalResourceId,
+        resourceType: event.ResourceType,
+        status: event.ResourceStatus,
+        reason: event.ResourceStatusReason || 'No reason given'
+      });
+    }
+  });
+  
+  return {
+    executed: true,
+    stackName: result.stackName,
+    stackStatus,
+    succeeded: SUCCESSFUL_STACK_STATUSES.includes(stackStatus),
+    durationSeconds: Math.round(durationMs / 1000),
+    resources: Array.from(resources.values()),
+    failedResources,
+    rollbackReasons
+  };
+}
+
+/**
+ * Builds the console summary printed after a deployment
+ */
+function generateDeploymentReport(deployment, display) {
+  const { paint, icon } = display;
+  let report = `\n${paint('heading', '── Deployment Result ──')}\n\n`;
+  report += `${icon(deployment.succeeded ? 'success' : 'failure')}${paint('strong', `${deployment.stackName}:`)} ${paint(statusRole(deployment.stackStatus), deployment.stackStatus)} (${deployment.durationSeconds}s)\n`;
+  if (deployment.error) {
+    report += `${paint('failure', deployment.error)}\n`;
+  }
+  
+  if (deployment.resources.length > 0) {
+    report += `\n${paint('strong', 'Resources:')}\n`;
+    deployment.resources.forEach(resource => {
+      report += `  • ${paint(statusRole(resource.status), resource.status)} ${resource.logicalResourceId} (${paint('muted', resource.resourceType)})\n`;
+    });
+  }
+  
+  if (deployment.failedResources.length > 0) {
+    report += `\n${paint(['failure', 'bold'], 'Failed resources:')}\n`;
+    deployment.failedResources.forEach(resource => {
+      report += `  ${icon('failure')}${paint('failure', resource.logicalResourceId)} (${paint('muted', resource.resourceType)}) ${resource.status}: ${resource.reason}\n`;
+    });
+  }
+  
+  if (deployment.rollbackReasons.length > 0) {
+    report += `\n${paint(['rollback', 'bold'], 'Rollback reason:')}\n`;
+    deployment.rollbackReasons.forEach(reason => {
+      report += `  ${reason}\n`;
+    });
+  }
+  
+  return report;
+}
+
+/**
+ * Builds the deployment subsection appended to a stack's PR comment section
+ */
+function generateDeploymentMarkdown(deployment, display = DEFAULT_DISPLAY) {
+  const { icon } = display;
+  if (!deployment.executed) {
+    return `\n\n### ${icon('deploy')}Deployment\n\nSkipped: ${deployment.skippedReason}.`;
+  }
+  
+  let markdown = `\n\n### ${icon('deploy')}Deployment\n\n`;
+  markdown += `**Result:** ${icon(deployment.succeeded ? 'success' : 'failure')}\`${deployment.stackStatus}\` (${deployment.durationSeconds}s)\n\n`;
+  
+  if (deployment.error) {
+    markdown += `**Error:** ${deployment.error}\n\n`;
+  }
+  
+  if (deployment.failedResources.length > 0) {
+    markdown += `**Failed resources:**\n\n`;
+    markdown += `| Resource | Type | Status | Reason |\n`;
+    markdown += `|----------|------|--------|--------|\n`;
+    deployment.failedResources.forEach(resource => {
+      markdown += `| ${resource.logicalResourceId} | ${resource.resourceType} | ${resource.status} | ${resource.reason.replace(/\|/g, '\\|')} |\n`;
+    });
+    markdown += '\n';
+  }
+  
+  if (deployment.rollbackReasons.length > 0) {
+    markdown += `**Rollback reason:** ${deployment.rollbackReasons.join('; ')}\n\n`;
+  }
+  
+  if (deployment.resources.length > 0) {
+    markdown += `<details>\n<summary>Resource outcomes (${deployment.resources.length})</summary>\n\n`;
+    markdown += `| Resource | Type | Status |\n`;
+    markdown += `|----------|------|--------|\n`;
+    deployment.resources.forEach(resource => {
+      markdown += `| ${resource.logicalResourceId} | ${resource.resourceType} | ${resource.status} |\n`;
+    });
+    markdown += `\n</details>`;
+  }
+  
+  return markdown;
+}
+
+module.exports = {
+  readExecuteOptions,
+  deployStack,
+  statusRole,
+  generateDeploymentMarkdown
+};
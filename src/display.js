@@ -0,0 +1,135 @@
+const core = require('@actions/core');
+
+const EMOJI_SETS = {
+  default: {
+    replace: '🔴', modify: '🟡', add: '🟢', remove: '⛔', import: '📥', dynamic: '🟣', other: '⚪',
+    success: '✅', failure: '❌', warning: '⚠️', info: 'ℹ️', nested: '📦', deploy: '🚀', policy: '🚨', drift: '🌀', delta: '🔀'
+  },
+  // Distinct shapes rather than colors, for color vision deficiencies
+  shapes: {
+    replace: '🔁', modify: '✏️', add: '➕', remove: '🗑️', import: '📥', dynamic: '❓', other: '▫️',
+    success: '✅', failure: '❌', warning: '⚠️', info: 'ℹ️', nested: '📦', deploy: '🚀', policy: '🚨', drift: '🌀', delta: '🔀'
+  },
+  ascii: {
+    replace: '[R]', modify: '[~]', add: '[+]', remove: '[-]', import: '[I]', dynamic: '[?]', other: '[*]',
+    success: '[ok]', failure: '[x]', warning: '[!]', info: '[i]', nested: '[>]', deploy: '[>]', policy: '[!]', drift: '[d]', delta: '[^]'
+  },
+  none: {}
+};
+
+// ANSI codes for each role the console report paints text with
+const THEMES = {
+  default: {
+    heading: '\x1b[97m\x1b[1m', strong: '\x1b[97m', bold: '\x1b[1m', muted: '\x1b[90m',
+    replace: '\x1b[91m', modify: '\x1b[93m', add: '\x1b[92m', remove: '\x1b[31m',
+    import: '\x1b[96m', dynamic: '\x1b[95m', other: '\x1b[37m',
+    success: '\x1b[92m', failure: '\x1b[31m', warning: '\x1b[93m', pending: '\x1b[93m', rollback: '\x1b[91m',
+    before: '\x1b[31m', after: '\x1b[32m'
+  },
+  // Orange and blue instead of red and green
+  colorblind: {
+    heading: '\x1b[97m\x1b[1m', strong: '\x1b[97m', bold: '\x1b[1m', muted: '\x1b[90m',
+    replace: '\x1b[38;5;208m', modify: '\x1b[38;5;220m', add: '\x1b[38;5;39m', remove: '\x1b[38;5;166m',
+    import: '\x1b[38;5;81m', dynamic: '\x1b[38;5;141m', other: '\x1b[37m',
+    success: '\x1b[38;5;39m', failure: '\x1b[38;5;166m', warning: '\x1b[38;5;220m', pending: '\x1b[38;5;220m', rollback: '\x1b[38;5;208m',
+    before: '\x1b[38;5;208m', after: '\x1b[38;5;39m'
+  },
+  // Weight and decoration only, for terminals with limited or no color
+  monochrome: {
+    heading: '\x1b[1m', strong: '', bold: '\x1b[1m', muted: '\x1b[2m',
+    replace: '\x1b[1m', modify: '', add: '', remove: '\x1b[1m\x1b[4m',
+    import: '', dynamic: '\x1b[3m', other: '\x1b[2m',
+    success: '', failure: '\x1b[1m', warning: '\x1b[1m', pending: '', rollback: '\x1b[1m',
+    before: '\x1b[2m', after: ''
+  }
+};
+
+const COLOR_MODES = ['auto', 'always', 'never'];
+
+/**
+ * Reads the color, theme and emoji-set inputs
+ * With `color: auto` the console report is plain text when the NO_COLOR environment variable is set
+ */
+function readDisplayOptions() {
+  const colorMode = (core.getInput('color') || 'auto').toLowerCase();
+  const theme = (core.getInput('theme') || 'default').toLowerCase();
+  const emojiSet = (core.getInput('emoji-set') || 'default').toLowerCase();
+  
+  if (!COLOR_MODES.includes(colorMode)) {
+    throw new Error(`Input color must be one of ${COLOR_MODES.join(', ')}, got '${colorMode}'`);
+  }
+  if (!THEMES[theme]) {
+    throw new Error(`Input theme must be one of ${Object.keys(THEMES).join(', ')}, got '${theme}'`);
+  }
+  if (!EMOJI_SETS[emojiSet]) {
+    throw new Error(`Input emoji-set must be one of ${Object.keys(EMOJI_SETS).join(', ')}, got '${emojiSet}'`);
+  }
+  
+  return {
+    color: colorMode === 'always' || (colorMode === 'auto' && !process.env.NO_COLOR),
+    theme,
+    emojiSet
+  };
+}
+
+/**
+ * Creates the display used by every renderer
+ * - `paint(roles, text)` colors console text by role, or leaves it plain when color is off
+ * - `icon(name)` returns the emoji for a category or status followed by a space, or nothing
+ */
+function createDisplay({ color = true, theme = 'default', emojiSet = 'default' } = {}) {
+  const palette = THEMES[theme];
+  const emojis = EMOJI_SETS[emojiSet];
+  
+  return {
+    color,
+    paint(roles, text) {
+      const codes = [].concat(roles).map(role => palette[role] || '').join('');
+      return color && codes ? `${codes}${text}\x1b[0m` : String(text);
+    },
+    icon(name) {
+      return emojis[name] ? `${emojis[name]} ` : '';
+    }
+  };
+}
+
+const DEFAULT_DISPLAY = createDisplay();
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+const WIDE_CHARACTER_PATTERN = /[\p{Emoji_Presentation}\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\u{20000}-\u{3fffd}]/u;
+
+/**
+ * Measures how many terminal columns text takes up, ignoring ANSI codes and
+ * counting emoji and East Asian wide characters as two columns
+ */
+function displayWidth(text) {
+  let width = 0;
+  let previous = '';
+  
+  for (const char of String(text).replace(ANSI_PATTERN, '')) {
+    if (char === '\ufe0f') {
+      // Emoji presentation selector, e.g. ⚠️ is drawn two columns wide
+      if (/\p{Extended_Pictographic}/u.test(previous) && !WIDE_CHARACTER_PATTERN.test(previous)) width++;
+    } else if (!/[\p{M}\u200b-\u200d]/u.test(char)) {
+      width += WIDE_CHARACTER_PATTERN.test(char) ? 2 : 1;
+    }
+    previous = char;
+  }
+  
+  return width;
+}
+
+function padDisplay(text, width) {
+  return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+module.exports = {
+  EMOJI_SETS,
+  THEMES,
+  readDisplayOptions,
+  createDisplay,
+  DEFAULT_DISPLAY,
+  displayWidth,
+  padDisplay
+};
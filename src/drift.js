@@ -0,0 +1,148 @@
+const core = require('@actions/core');
+
+const { sleep, listAllPages, extractStackName } = require('./utils');
+const { categorizeChange } = require('./changes');
+
+const DRIFTED_RESOURCE_STATUSES = ['MODIFIED', 'DELETED'];
+
+/**
+ * Starts drift detection on the deployed stack, waits for it within the wait-timeout and lists the drifted resources
+ * Returns null when drift can't be detected, e.g. without the IAM permissions for it, so the report goes on without it
+ */
+async function detectStackDrift(cloudformation, rawStackName, { timeout, interval }) {
+  const stackName = extractStackName(rawStackName);
+  
+  try {
+    const { StackDriftDetectionId } = await cloudformation.detectStackDrift({ StackName: rawStackName });
+    const deadline = Date.now() + timeout * 1000;
+    
+    let detection;
+    for (;;) {
+      detection = await cloudformation.describeStackDriftDetectionStatus({ StackDriftDetectionId });
+      if (detection.DetectionStatus !== 'DETECTION_IN_PROGRESS') break;
+      
+      if (Date.now() + interval * 1000 > deadline) {
+        throw new Error(`timed out after ${timeout}s`);
+      }
+      
+      core.info(`Drift detection for stack ${stackName} is in progress, checking again in ${interval}s...`);
+      await sleep(interval * 1000);
+    }
+    
+    // A failed detection still has results for the resources it could check
+    if (detection.DetectionStatus === 'DETECTION_FAILED') {
+      core.warning(`Drift detection for stack ${stackName} could not check every resource: ${detection.DetectionStatusReason || 'no reason given'}`);
+    }
+    
+    const drifts = await listAllPages(
+      params => cloudformation.describeStackResourceDrifts(params),
+      { StackName: rawStackName, StackResourceDriftStatusFilters: DRIFTED_RESOURCE_STATUSES },
+      'StackResourceDrifts'
+    );
+    
+    return {
+      status: detection.StackDriftStatus,
+      detectionStatus: detection.DetectionStatus,
+      detectionStatusReason: detection.DetectionStatusReason,
+      detectedAt: detection.Timestamp,
+      resources: drifts.map(drift => ({
+        logicalResourceId: drift.LogicalResourceId,
+        resourceType: drift.ResourceType,
+        status: drift.StackResourceDriftStatus,
+        properties: (drift.PropertyDifferences || []).map(difference => ({
+          path: difference.PropertyPath,
+          differenceType: difference.DifferenceType
+        }))
+      }))
+    };
+  } catch (error) {
+    core.warning(`Unable to detect drift for stack ${stackName}, it won't be reported: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Attaches the drift of each drifted resource change as `Drift`, with what the deploy does about it
+ * Drift detection only checks the stack's own resources, so nested stack changes are never marked
+ */
+function markDriftedChanges(changeset, drift) {
+  if (!drift) return changeset;
+  
+  return {
+    ...changeset,
+    Changes: (changeset.Changes || []).map(change => {
+      const resource = change.ResourceChange;
+      const drifted = drift.resources.find(entry => entry.logicalResourceId === resource.LogicalResourceId);
+      return drifted ? { ...change, ResourceChange: { ...resource, Drift: reconcileDrift(resource, drifted) } } : change;
+    })
+  };
+}
+
+/**
+ * Works out whether deploying a resource change reconciles the resource's drift:
+ * - `reconciled` - the resource is replaced, or the change sets every drifted property from the template
+ * - `partial` - the change sets some of the drifted properties, the others stay drifted
+ * - `kept` - the change doesn't touch the drifted properties, so they stay drifted
+ * - `removed` - the resource is removed from the stack
+ * - `missing` - the resource was deleted outside CloudFormation, so updating it is likely to fail
+ */
+function reconcileDrift(resource, drifted) {
+  const group = categorizeChange(resource);
+  // Property paths look like /Timeout or /Tags/0/Value, the first part is the changed property or attribute
+  const changedNames = new Set((resource.Details || []).map(detail => detail.Target.Name || detail.Target.Attribute));
+  const properties = drifted.properties.map(property => ({
+    ...property,
+    reconciled: group === 'Will be replaced' || changedNames.has(property.path.split('/')[1])
+  }));
+  
+  let outcome;
+  if (group === 'Removed resources') {
+    outcome = 'removed';
+  } else if (drifted.status === 'DELETED') {
+    outcome = 'missing';
+  } else if (group === 'Will be replaced' || properties.every(property => property.reconciled)) {
+    outcome = 'reconciled';
+  } else {
+    outcome = properties.some(property => property.reconciled) ? 'partial' : 'kept';
+  }
+  
+  return { status: drifted.status, outcome, properties };
+}
+
+/**
+ * Flags each drifted resource with whether the changeset changes it and, if so, the outcome from
+ * `reconcileDrift`. The ones it doesn't change are left drifted by the deploy.
+ * Takes the changeset after `markDriftedChanges`.
+ */
+function flagChangedDrift(drift, changeset) {
+  if (!drift) return null;
+  
+  const outcomes = new Map((changeset.Changes || [])
+    .filter(change => change.ResourceChange.Drift)
+    .map(change => [change.ResourceChange.LogicalResourceId, change.ResourceChange.Drift.outcome]));
+  return {
+    ...drift,
+    resources: drift.resources.map(entry => ({
+      ...entry,
+      changed: outcomes.has(entry.logicalResourceId),
+      outcome: outcomes.get(entry.logicalResourceId) || null
+    }))
+  };
+}
+
+// What deploying a drifted resource's change does about its drift, see `reconcileDrift`
+const DRIFT_OUTCOMES = {
+  reconciled: 'the deploy brings the resource back in line with the template',
+  partial: 'the deploy resets some of the drifted properties, the others stay drifted',
+  kept: 'this change doesn\'t touch the drifted properties, they stay drifted',
+  removed: 'the drifted resource is removed from the stack',
+  missing: 'the resource was deleted outside CloudFormation, so updating it is likely to fail'
+};
+
+module.exports = {
+  detectStackDrift,
+  markDriftedChanges,
+  reconcileDrift,
+  flagChangedDrift,
+  DRIFT_OUTCOMES
+};
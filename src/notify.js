@@ -0,0 +1,271 @@
+const core = require('@actions/core');
+
+const { parseSeconds } = require('./utils');
+const { CATEGORIES, SEVERITY_ORDER, collectChanges, countChanges } = require('./changes');
+const { highestDataLossLevel } = require('./data-loss');
+const { REPORT_MODEL_VERSION } = require('./report-files');
+
+const NOTIFY_POLICY_LEVELS = ['fail', 'warn', 'never'];
+
+/**
+ * Reads the notification inputs
+ * Returns null when no Slack, Teams or webhook URL is set
+ */
+function readNotifyOptions() {
+  const channels = [
+    { kind: 'slack', url: core.getInput('slack-webhook-url') },
+    { kind: 'teams', url: core.getInput('teams-webhook-url') },
+    { kind: 'webhook', url: core.getInput('webhook-url') }
+  ].filter(channel => channel.url);
+  if (channels.length === 0) return null;
+  
+  const policy = (core.getInput('notify-on-policy') || 'fail').toLowerCase();
+  if (!NOTIFY_POLICY_LEVELS.includes(policy)) {
+    throw new Error(`Input notify-on-policy must be one of ${NOTIFY_POLICY_LEVELS.join(', ')}, got '${policy}'`);
+  }
+  
+  return {
+    channels,
+    removals: parseThreshold(core.getInput('notify-min-removals'), 'notify-min-removals', 1),
+    replacements: parseThreshold(core.getInput('notify-min-replacements'), 'notify-min-replacements', 1),
+    policy,
+    timeout: parseSeconds(core.getInput('notify-timeout'), 'notify-timeout', DEFAULT_NOTIFY_TIMEOUT)
+  };
+}
+
+/**
+ * Parses a count threshold input, where 0 turns the threshold off
+ */
+function parseThreshold(value, inputName, defaultValue) {
+  if (!value || !value.trim()) return defaultValue;
+  
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error(`Input ${inputName} must be a whole number, got '${value}'`);
+  }
+  return threshold;
+}
+
+/**
+ * Explains why a stack's changeset is worth a notification, or returns an empty list when it isn't
+ * Like the execute conditions, the thresholds count the changes the ignore rules suppressed too.
+ */
+function notificationReasons(result, options) {
+  if (result.noChangesetFound || result.noChanges || result.failed) return [];
+  
+  const counts = countChanges(result.unfilteredChangeset);
+  const failures = result.violations.filter(violation => violation.level === 'fail').length;
+  const warnings = result.violations.filter(violation => violation.level === 'warn').length;
+  const reasons = [];
+  
+  if (options.removals > 0 && counts['Removed resources'] >= options.removals) {
+    reasons.push(`${counts['Removed resources']} removal(s)`);
+  }
+  if (options.replacements > 0 && counts['Will be replaced'] >= options.replacements) {
+    reasons.push(`${counts['Will be replaced']} replacement(s)`);
+  }
+  if (options.policy !== 'never' && failures > 0) {
+    reasons.push(`${failures} policy failure(s)`);
+  }
+  if (options.policy === 'warn' && warnings > 0) {
+    reasons.push(`${warnings} policy warning(s)`);
+  }
+  return reasons;
+}
+
+/**
+ * Posts a condensed report of the stacks over the thresholds to every configured channel
+ * A channel that can't be reached gets a warning, it doesn't fail the step
+ */
+async function sendNotifications(results, options, context, display) {
+  const stacks = results
+    .map(result => ({ result, reasons: notificationReasons(result, options) }))
+    .filter(({ reasons }) => reasons.length > 0)
+    .map(({ result, reasons }) => {
+      const counts = countChanges(result.unfilteredChangeset);
+      return {
+        stack: result.stackName,
+        accountId: result.accountId || null,
+        region: result.region || null,
+        location: result.location || '',
+        changeset: result.changesetName,
+        status: result.changeset.Status,
+        counts: {
+          ...Object.fromEntries(CATEGORIES.map(({ group, key }) => [key, counts[group]])),
+          total: counts.total
+        },
+        dataLossRisk: highestDataLossLevel(collectChanges(result.unfilteredChangeset).map(change => (change.ResourceChange.DataLossRisk || {}).level)),
+        violations: result.violations.length,
+        deploymentStatus: result.deployment ? result.deployment.stackStatus || 'SKIPPED' : null,
+        reasons
+      };
+    });
+  
+  if (stacks.length === 0) {
+    core.info('No stack reached the notification thresholds, not sending notifications');
+    return;
+  }
+  
+  const pullRequest = context.payload.pull_request;
+  const summary = {
+    repository: `${context.repo.owner}/${context.repo.repo}`,
+    runUrl: `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`,
+    pullRequest: pullRequest ? { number: pullRequest.number, title: pullRequest.title || '', url: pullRequest.html_url || '' } : null,
+    stacks
+  };
+  
+  for (const channel of options.channels) {
+    try {
+      await postJson(channel.url, NOTIFICATION_BUILDERS[channel.kind](summary, display), options.timeout);
+      core.info(`Sent the ${channel.kind} notification for ${stacks.length} stack(s)`);
+    } catch (error) {
+      core.warning(`Failed to send the ${channel.kind} notification: ${error.message}`);
+    }
+  }
+}
+
+// A webhook that doesn't answer shouldn't hold up the step
+const DEFAULT_NOTIFY_TIMEOUT = 10;
+
+/**
+ * Posts a JSON payload, rejecting on error responses and when there's no answer within `timeout` seconds
+ */
+async function postJson(url, payload, timeout = DEFAULT_NOTIFY_TIMEOUT) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeout * 1000)
+    });
+  } catch (error) {
+    throw error.name === 'TimeoutError' ? new Error(`no response within ${timeout} seconds`) : error;
+  }
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText} ${(await response.text()).substring(0, 200)}`.trim());
+  }
+}
+
+/**
+ * Lists the non-zero category counts of a notified stack, most destructive first
+ */
+function notificationCounts(stack, display) {
+  return SEVERITY_ORDER
+    .map(group => CATEGORIES.find(category => category.group === group))
+    .filter(category => stack.counts[category.key] > 0)
+    .map(category => ({ label: `${display.icon(category.role)}${category.label}`, count: stack.counts[category.key] }));
+}
+
+function notificationTitle(summary) {
+  return `CloudFormation changes need attention in ${summary.repository}` +
+    (summary.pullRequest ? ` #${summary.pullRequest.number}` : '');
+}
+
+// Slack rejects messages with more than 50 blocks, leave room for the header, context and button
+const MAX_SLACK_STACKS = 45;
+
+/**
+ * Builds a Slack message with Block Kit sections, one per stack
+ * Stacks past the first `MAX_SLACK_STACKS` are only counted.
+ */
+function buildSlackMessage(summary, display) {
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const pullRequest = summary.pullRequest && summary.pullRequest.url ?
+    ` · <${summary.pullRequest.url}|#${summary.pullRequest.number} ${escape(summary.pullRequest.title)}>` :
+    '';
+  const hidden = summary.stacks.length - MAX_SLACK_STACKS;
+  
+  return {
+    text: notificationTitle(summary),
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: 'CloudFormation changes need attention' } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `*${escape(summary.repository)}*${pullRequest}` }] },
+      ...summary.stacks.slice(0, MAX_SLACK_STACKS).map(stack => ({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: [
+            `*${escape(stack.stack)}*${stack.location ? ` (${escape(stack.location)})` : ''}`,
+            `Changeset \`${escape(stack.changeset)}\` · ${escape(stack.status)}`,
+            notificationCounts(stack, display).map(({ label, count }) => `${escape(label)}: *${count}*`).join(' · '),
+            `${display.icon('warning')}${escape(stack.reasons.join(', '))}`,
+            ...(stack.deploymentStatus ? [`${display.icon('deploy')}Deployment: ${escape(stack.deploymentStatus)}`] : [])
+          ].filter(Boolean).join('\n')
+        }
+      })),
+      ...(hidden > 0 ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `+${hidden} more stack(s), see the workflow run` }] }] : []),
+      {
+        type: 'actions',
+        elements: [{ type: 'button', text: { type: 'plain_text', text: 'View workflow run' }, url: summary.runUrl }]
+      }
+    ]
+  };
+}
+
+/**
+ * Builds a Microsoft Teams message holding an Adaptive Card, with a fact set of counts per stack
+ */
+function buildTeamsMessage(summary, display) {
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: notificationTitle(summary), weight: 'Bolder', size: 'Medium', wrap: true },
+          ...summary.stacks.flatMap(stack => [
+            {
+              type: 'TextBlock',
+              text: `**${stack.stack}**${stack.location ? ` (${stack.location})` : ''} · changeset \`${stack.changeset}\``,
+              wrap: true,
+              separator: true
+            },
+            {
+              type: 'FactSet',
+              facts: [
+                ...notificationCounts(stack, display).map(({ label, count }) => ({ title: label, value: String(count) })),
+                { title: 'Why', value: stack.reasons.join(', ') },
+                ...(stack.deploymentStatus ? [{ title: 'Deployment', value: stack.deploymentStatus }] : [])
+              ]
+            }
+          ])
+        ],
+        actions: [
+          { type: 'Action.OpenUrl', title: 'View workflow run', url: summary.runUrl },
+          ...(summary.pullRequest && summary.pullRequest.url ? [{ type: 'Action.OpenUrl', title: 'View pull request', url: summary.pullRequest.url }] : [])
+        ]
+      }
+    }]
+  };
+}
+
+/**
+ * Builds the generic webhook payload: the condensed report as plain JSON
+ */
+function buildWebhookPayload(summary) {
+  return {
+    event: 'cfn-changeset-report',
+    version: REPORT_MODEL_VERSION,
+    ...summary,
+    stacks: summary.stacks.map(({ location, ...stack }) => stack)
+  };
+}
+
+const NOTIFICATION_BUILDERS = {
+  slack: buildSlackMessage,
+  teams: buildTeamsMessage,
+  webhook: buildWebhookPayload
+};
+
+module.exports = {
+  readNotifyOptions,
+  notificationReasons,
+  sendNotifications,
+  postJson,
+  buildSlackMessage
+};
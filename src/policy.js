@@ -0,0 +1,109 @@
+const { readConfigDocument, matchesAnyPattern } = require('./utils');
+
+const POLICY_LEVELS = ['fail', 'warn', 'allow'];
+
+const POLICY_CONDITIONS = ['resourceType', 'logicalResourceId', 'action', 'replacement', 'requiresRecreation'];
+
+/**
+ * Loads policy rules from the inline `policy` input or the `policy-file` input
+ * Both accept YAML (or JSON) with either a top-level `rules` list or a bare list of rules
+ */
+function loadPolicy(inlinePolicy, policyFile) {
+  const document = readConfigDocument(inlinePolicy, policyFile, 'policy');
+  if (!document) return [];
+  
+  const { source, parsed } = document;
+  const rules = Array.isArray(parsed) ? parsed : (parsed && parsed.rules) || [];
+  if (!Array.isArray(rules)) {
+    throw new Error(`Invalid policy in ${source}: 'rules' must be a list`);
+  }
+  
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Invalid policy in ${source}: rule ${i + 1} must be a mapping`);
+    }
+    
+    const level = String(rule.level || '').toLowerCase();
+    if (!POLICY_LEVELS.includes(level)) {
+      throw new Error(`Invalid policy in ${source}: rule ${i + 1} has level '${rule.level}', expected one of ${POLICY_LEVELS.join(', ')}`);
+    }
+    
+    const conditions = POLICY_CONDITIONS.filter(key => rule[key] !== undefined && rule[key] !== null);
+    if (conditions.length === 0) {
+      throw new Error(`Invalid policy in ${source}: rule ${i + 1} needs at least one of ${POLICY_CONDITIONS.join(', ')}`);
+    }
+    
+    return { ...rule, level, index: i + 1 };
+  });
+}
+
+/**
+ * Checks every resource change against the policy rules
+ * Rules are evaluated in order and the first matching rule decides the outcome for a change,
+ * so an `allow` rule placed first can exempt resources from broader rules further down
+ */
+function evaluatePolicy(changeset, rules, stackPath = '') {
+  const violations = [];
+  if (!rules || rules.length === 0) return violations;
+  
+  (changeset.Changes || []).forEach(change => {
+    const resource = change.ResourceChange;
+    if (!resource) return;
+    
+    const rule = rules.find(candidate => policyRuleMatches(candidate, resource));
+    if (!rule || rule.level === 'allow') return;
+    
+    violations.push({
+      level: rule.level,
+      rule: rule.name || `rule ${rule.index}`,
+      message: rule.message || describePolicyRule(rule),
+      logicalResourceId: stackPath + resource.LogicalResourceId,
+      resourceType: resource.ResourceType,
+      action: resource.Action,
+      replacement: resource.Replacement || 'N/A'
+    });
+  });
+  
+  // Changes in nested stacks are reported with their path, e.g. `Network/Vpc`
+  (changeset.NestedChangeSets || []).forEach(nested => {
+    violations.push(...evaluatePolicy(nested.changeset, rules, `${stackPath}${nested.logicalResourceId}/`));
+  });
+  
+  return violations;
+}
+
+/**
+ * A rule matches when every condition it sets matches the resource change
+ * Each condition may be a single pattern or a list of patterns (any of which may match)
+ */
+function policyRuleMatches(rule, resource) {
+  if (rule.resourceType != null && !matchesAnyPattern(resource.ResourceType, rule.resourceType)) return false;
+  if (rule.logicalResourceId != null && !matchesAnyPattern(resource.LogicalResourceId, rule.logicalResourceId)) return false;
+  if (rule.action != null && !matchesAnyPattern(resource.Action, rule.action)) return false;
+  if (rule.replacement != null && !matchesAnyPattern(resource.Replacement || 'N/A', rule.replacement)) return false;
+  
+  if (rule.requiresRecreation != null) {
+    const details = resource.Details || [];
+    const recreates = details.some(detail => 
+      detail.Target && matchesAnyPattern(detail.Target.RequiresRecreation || 'Never', rule.requiresRecreation)
+    );
+    if (!recreates) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Builds a readable description of a rule for rules that don't provide a message
+ */
+function describePolicyRule(rule) {
+  const parts = POLICY_CONDITIONS
+    .filter(key => rule[key] != null)
+    .map(key => `${key}=${[].concat(rule[key]).join('|')}`);
+  return `${rule.name || `Rule ${rule.index}`} (${parts.join(', ')})`;
+}
+
+module.exports = {
+  loadPolicy,
+  evaluatePolicy
+};
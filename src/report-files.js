@@ -0,0 +1,327 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+
+const { resolveWorkspacePath } = require('./utils');
+const { CATEGORIES, categoryOf, collectChanges, countChanges, findReplacementCauses } = require('./changes');
+const { highestDataLossLevel } = require('./data-loss');
+const { escapeHtml } = require('./report-html');
+
+/**
+ * Sets the JSON model and per-category count outputs, and writes the JSON, SARIF and JUnit files
+ * SARIF and JUnit files are only written when their inputs are set
+ */
+function writeMachineReadableReports(results) {
+  const model = buildReportModel(results);
+  const json = JSON.stringify(model, null, 2);
+  
+  core.setOutput('json', json);
+  CATEGORIES.forEach(({ key }) => {
+    core.setOutput(`${key}-count`, String(model.totals[key]));
+  });
+  core.setOutput('total-count', String(model.totals.total));
+  core.setOutput('data-loss-risk', model.dataLossRisk);
+  core.setOutput('drifted-count', String(model.stacks.reduce((sum, stack) => sum + (stack.drift ? stack.drift.resources.length : 0), 0)));
+  core.setOutput('suppressed-count', String(model.stacks.reduce((sum, stack) => sum + stack.suppressed.length, 0)));
+  
+  const jsonFile = core.getInput('json-file') ?
+    resolveWorkspacePath(core.getInput('json-file')) :
+    path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'cfn-changeset-report.json');
+  writeReportFile(jsonFile, json);
+  core.setOutput('json-file', jsonFile);
+  
+  if (core.getInput('sarif-file')) {
+    const sarifFile = resolveWorkspacePath(core.getInput('sarif-file'));
+    writeReportFile(sarifFile, JSON.stringify(renderSarif(model, core.getInput('template-file').trim()), null, 2));
+    core.setOutput('sarif-file', sarifFile);
+  }
+  
+  if (core.getInput('junit-file')) {
+    const junitFile = resolveWorkspacePath(core.getInput('junit-file'));
+    writeReportFile(junitFile, renderJUnit(model));
+    core.setOutput('junit-file', junitFile);
+  }
+}
+
+function writeReportFile(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  core.debug(`Wrote ${file}`);
+}
+
+const REPORT_MODEL_VERSION = 1;
+
+/**
+ * Builds a plain JSON model of the stack results, without ANSI colors or markdown
+ * Property values are left out so NoEcho parameters can't leak through it
+ */
+function buildReportModel(results) {
+  const stacks = results.map(result => ({
+    stack: result.stackName,
+    accountId: result.accountId || null,
+    region: result.region || null,
+    changesetFound: !result.noChangesetFound,
+    fromFile: Boolean(result.fromFile),
+    noChanges: Boolean(result.noChanges),
+    noMeaningfulChanges: Boolean(result.noMeaningfulChanges),
+    failed: Boolean(result.failed),
+    error: result.error || null,
+    provenance: result.provenance || null,
+    stale: result.stale || null,
+    ...buildChangesetModel(result.changeset),
+    dataLossRisk: highestDataLossLevel(collectChanges(result.changeset).map(change => (change.ResourceChange.DataLossRisk || {}).level)),
+    settings: result.settings || null,
+    drift: result.drift || null,
+    suppressed: (result.suppressed || []).map(entry => ({
+      logicalResourceId: entry.logicalResourceId,
+      resourceType: entry.resourceType,
+      action: entry.action,
+      properties: entry.properties,
+      partial: entry.partial,
+      reason: entry.reason
+    })),
+    violations: result.violations.map(violation => ({
+      level: violation.level,
+      message: violation.message,
+      logicalResourceId: violation.logicalResourceId,
+      resourceType: violation.resourceType,
+      action: violation.action,
+      replacement: violation.replacement
+    }))
+  }));
+  
+  const totals = { ...Object.fromEntries(CATEGORIES.map(({ key }) => [key, 0])), total: 0 };
+  stacks.forEach(stack => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += stack.counts[key];
+    });
+  });
+  
+  const dataLossRisk = highestDataLossLevel(stacks.map(stack => stack.dataLossRisk));
+  
+  return { version: REPORT_MODEL_VERSION, stacks, totals, dataLossRisk };
+}
+
+function buildChangesetModel(changeset) {
+  const counts = countChanges(changeset);
+  
+  return {
+    changeset: {
+      name: changeset.ChangeSetName,
+      id: changeset.ChangeSetId,
+      stackId: changeset.StackId,
+      status: changeset.Status,
+      statusReason: changeset.StatusReason,
+      executionStatus: changeset.ExecutionStatus,
+      creationTime: changeset.CreationTime,
+      description: changeset.Description
+    },
+    counts: {
+      ...Object.fromEntries(CATEGORIES.map(({ group, key }) => [key, counts[group]])),
+      total: counts.total
+    },
+    changes: (changeset.Changes || []).map(change => {
+      const resource = change.ResourceChange;
+      const category = categoryOf(resource);
+      
+      return {
+        logicalResourceId: resource.LogicalResourceId,
+        physicalResourceId: resource.PhysicalResourceId,
+        resourceType: resource.ResourceType,
+        action: resource.Action,
+        replacement: resource.Replacement,
+        category: category.key,
+        dataLossRisk: resource.DataLossRisk ?
+          {
+            level: resource.DataLossRisk.level,
+            stateful: resource.DataLossRisk.stateful,
+            policy: resource.DataLossRisk.policy,
+            policySource: resource.DataLossRisk.policySource,
+            reason: resource.DataLossRisk.reason
+          } :
+          null,
+        drift: resource.Drift || null,
+        replacementCauses: category.key === 'replaced' ?
+          findReplacementCauses(resource.Details).map(detail => ({
+            property: detail.Target.Name,
+            requiresRecreation: detail.Target.RequiresRecreation,
+            changeSource: detail.ChangeSource,
+            causingEntity: detail.CausingEntity
+          })) :
+          [],
+        details: (resource.Details || []).map(detail => ({
+          attribute: detail.Target.Attribute,
+          name: detail.Target.Name,
+          requiresRecreation: detail.Target.RequiresRecreation,
+          evaluation: detail.Evaluation,
+          changeSource: detail.ChangeSource,
+          causingEntity: detail.CausingEntity
+        }))
+      };
+    }),
+    nestedStacks: (changeset.NestedChangeSets || []).map(nested => ({
+      logicalResourceId: nested.logicalResourceId,
+      stack: nested.stackName,
+      ...buildChangesetModel(nested.changeset)
+    }))
+  };
+}
+
+/**
+ * Lists a stack model's changes with those of its nested stacks, prefixing nested
+ * resources with their parent's logical ID like policy violations do
+ */
+function flattenModelChanges(stackModel, prefix = '') {
+  return [
+    ...stackModel.changes.map(change => ({ ...change, path: `${prefix}${change.logicalResourceId}` })),
+    ...stackModel.nestedStacks.flatMap(nested => flattenModelChanges(nested, `${prefix}${nested.logicalResourceId}/`))
+  ];
+}
+
+function describeModelChange(stack, change) {
+  const causes = change.replacementCauses.map(cause => cause.property).filter(Boolean);
+  const risk = change.dataLossRisk;
+  const verb = change.category === 'removed' ?
+    { Retain: 'will be removed from the stack and retained', Snapshot: 'will be deleted after a final snapshot' }[risk && risk.policy] || 'will be deleted' :
+    'will be replaced';
+  return `${change.path} (${change.resourceType}) ${verb} in stack ${stack}` +
+    (causes.length > 0 ? ` because of changes to ${[...new Set(causes)].join(', ')}` : '') +
+    (risk && ['high', 'medium'].includes(risk.level) ? `, data-loss risk ${risk.level}: ${risk.reason}` : '');
+}
+
+const SARIF_RULES = [
+  {
+    id: 'cfn-resource-removal',
+    name: 'ResourceRemoval',
+    category: 'removed',
+    level: 'error',
+    description: 'A resource will be deleted from the stack'
+  },
+  {
+    id: 'cfn-resource-replacement',
+    name: 'ResourceReplacement',
+    category: 'replaced',
+    level: 'warning',
+    description: 'A resource will be replaced, creating a new physical resource and deleting the old one'
+  },
+  {
+    id: 'cfn-data-loss',
+    name: 'DataLoss',
+    level: 'error',
+    description: 'A stateful resource will be deleted or replaced without its data being retained'
+  }
+];
+
+/**
+ * Renders removals, replacements and data-loss risks as a SARIF log for GitHub code scanning
+ * Results point at the template file when one is known, otherwise at a path named after the stack.
+ * Retained removals are downgraded to notes and `medium` data-loss risks to warnings.
+ */
+function renderSarif(model, templateFile) {
+  const results = model.stacks.flatMap(stack =>
+    flattenModelChanges(stack).flatMap(change => {
+      const risk = change.dataLossRisk;
+      
+      return sarifRulesFor(change).map(rule => ({
+        ruleId: rule.id,
+        level: sarifLevel(rule, risk),
+        message: { text: describeModelChange(stack.stack, change) },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: templateFile || `cloudformation/${stack.stack}` },
+            region: { startLine: 1 }
+          },
+          logicalLocations: [{
+            name: change.logicalResourceId,
+            fullyQualifiedName: `${stack.stack}/${change.path}`,
+            kind: 'resource'
+          }]
+        }],
+        partialFingerprints: {
+          'cfnResource/v1': `${stack.stack}/${change.path}/${rule.id}`
+        }
+      }));
+    })
+  );
+  
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'cfn-changeset-reporter',
+          informationUri: 'https://github.com/liatrio/cfn-changeset-reporter',
+          rules: SARIF_RULES.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.level }
+          }))
+        }
+      },
+      results
+    }]
+  };
+}
+
+/**
+ * Returns the SARIF rules a change breaks: removals, replacements and high or medium data-loss risks
+ */
+function sarifRulesFor(change) {
+  const risk = change.dataLossRisk;
+  return SARIF_RULES.filter(({ category, id }) =>
+    category === change.category || (id === 'cfn-data-loss' && risk && ['high', 'medium'].includes(risk.level))
+  );
+}
+
+/**
+ * Picks a SARIF result's level from its rule and the change's data-loss risk
+ */
+function sarifLevel(rule, risk) {
+  if (rule.id === 'cfn-data-loss') return risk.level === 'high' ? 'error' : 'warning';
+  if (rule.category === 'removed' && risk && risk.policy === 'Retain') return 'note';
+  return rule.level;
+}
+
+/**
+ * Renders the changes as a JUnit report with one test suite per stack and one test case
+ * per resource change, where removals and replacements are failures
+ */
+function renderJUnit(model) {
+  const suites = model.stacks.map(stack => {
+    const changes = flattenModelChanges(stack);
+    const failures = changes.filter(change => change.category === 'removed' || change.category === 'replaced');
+    
+    const cases = changes.map(change => {
+      const testcase = `    <testcase classname="${escapeHtml(stack.stack)}" name="${escapeHtml(`${change.path} (${change.resourceType}) ${change.action}`)}"`;
+      if (!failures.includes(change)) return `${testcase}/>`;
+      
+      const message = describeModelChange(stack.stack, change);
+      return `${testcase}>\n      <failure type="${change.category === 'removed' ? 'removal' : 'replacement'}" message="${escapeHtml(message)}">${escapeHtml(message)}</failure>\n    </testcase>`;
+    });
+    
+    return `  <testsuite name="${escapeHtml(stack.stack)}" tests="${changes.length}" failures="${failures.length}">\n` +
+      cases.map(testcase => `${testcase}\n`).join('') +
+      '  </testsuite>';
+  });
+  
+  const tests = model.stacks.reduce((sum, stack) => sum + flattenModelChanges(stack).length, 0);
+  const failures = model.totals.removed + model.totals.replaced;
+  
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="CloudFormation changesets" tests="${tests}" failures="${failures}">\n` +
+    suites.map(suite => `${suite}\n`).join('') +
+    '</testsuites>\n';
+}
+
+module.exports = {
+  writeMachineReadableReports,
+  REPORT_MODEL_VERSION,
+  buildReportModel,
+  flattenModelChanges,
+  describeModelChange,
+  sarifRulesFor,
+  sarifLevel
+};
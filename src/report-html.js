@@ -0,0 +1,317 @@
+const core = require('@actions/core');
+
+const { spansSeveralLocations } = require('./utils');
+const { DEFAULT_DISPLAY } = require('./display');
+const { CATEGORIES, reportedCategories, collectChanges, classifyChanges, countChanges } = require('./changes');
+const { REDACTED_VALUE } = require('./values');
+const { describeSuppressedScope } = require('./suppress');
+const { collectDataLossRisks, DATA_LOSS_LABELS } = require('./data-loss');
+const { DRIFT_OUTCOMES } = require('./drift');
+const { hasStackSettings } = require('./stack-settings');
+const { formatProvenanceLabel, formatStaleReason } = require('./changeset-selection');
+
+/**
+ * Writes the HTML report to the GitHub job summary
+ */
+async function writeJobSummary(results, display = DEFAULT_DISPLAY) {
+  core.summary.addRaw(generateHtmlReport(results, display), true);
+  await core.summary.write();
+}
+
+/**
+ * Renders the report as HTML: a totals table when there are several stacks, then a summary table
+ * per stack and a collapsible block per category listing the affected resources and their property changes
+ */
+function generateHtmlReport(results, display = DEFAULT_DISPLAY) {
+  const { icon } = display;
+  let html = '<h1>CloudFormation Changeset Report</h1>\n';
+  
+  if (results.length > 1) {
+    const categories = reportedCategories(CATEGORIES, results.map(result => countChanges(result.changeset)));
+    const showLocation = spansSeveralLocations(results);
+    html += htmlTable([
+      ['Stack', ...(showLocation ? ['Location'] : []), 'Changeset', ...categories.map(category => `${icon(category.role)}${category.label}`), 'Total']
+        .map(data => ({ data: escapeHtml(data), header: true })),
+      ...results.map(result => {
+        const counts = countChanges(result.changeset);
+        return [
+          escapeHtml(result.stackName),
+          ...(showLocation ? [escapeHtml(result.location || '')] : []),
+          escapeHtml(result.noChangesetFound ? 'NO_CHANGESETS' : result.changesetName),
+          ...categories.map(category => String(counts[category.group])),
+          String(counts.total)
+        ];
+      })
+    ]) + '\n';
+  }
+  
+  results.forEach(result => {
+    html += generateHtmlSection(result, display);
+  });
+  
+  return html;
+}
+
+/**
+ * Renders one stack's section of the HTML report
+ */
+function generateHtmlSection(result, display) {
+  const { icon } = display;
+  let html = `<h2>Stack: ${escapeHtml(result.stackName)}${result.location ? ` <small>(${escapeHtml(result.location)})</small>` : ''}</h2>\n`;
+  
+  if (result.noChangesetFound) {
+    return html + `No changesets found for stack ${escapeHtml(result.stackName)}.\n`;
+  }
+  
+  if (result.error) {
+    return html + `<p>${icon('remove')}<b>Failed to ${result.errorStep} the changeset:</b> ${escapeHtml(result.error)}</p>\n`;
+  }
+  
+  html += `<p><b>Changeset:</b> <code>${escapeHtml(result.changesetName)}</code> · ` +
+    `<b>Status:</b> <code>${escapeHtml(result.changeset.Status)}</code>` +
+    (result.provenance ? ` · <b>Provenance:</b> ${escapeHtml(formatProvenanceLabel(result.provenance))}` : '') +
+    '</p>\n';
+  
+  if (result.stale) {
+    html += `<p>${icon('warning')}<b>Stale changeset:</b> ${escapeHtml(formatStaleReason(result.stale))}</p>\n`;
+  }
+  
+  if (result.noChanges) {
+    return html + `<p>${icon('success')}No changes - the changeset contains nothing to deploy.</p>\n`;
+  }
+  
+  if (result.failed) {
+    return html + `<p>${icon('failure')}<b>Changeset failed:</b> ${escapeHtml(result.changeset.StatusReason || 'No reason given')}</p>\n`;
+  }
+  
+  const counts = countChanges(result.changeset);
+  if (result.noMeaningfulChanges) {
+    html += `<p>${icon('success')}No meaningful changes - every change matched an ignore rule.</p>\n`;
+  } else {
+    html += htmlTable([
+      [{ data: 'Category', header: true }, { data: 'Count', header: true }],
+      ...reportedCategories(CATEGORIES, [counts]).map(category => [`${icon(category.role)}${category.label}`, String(counts[category.group])]),
+      [{ data: 'Total', header: true }, { data: String(counts.total), header: true }]
+    ]) + '\n';
+  }
+  
+  html += generateDataLossRisksHtml(result.changeset, display);
+  
+  // Nested stack changes are listed in their parent's categories with their path
+  const groups = classifyChanges(collectChanges(result.changeset));
+  CATEGORIES.forEach(category => {
+    const entries = groups[category.group];
+    if (entries.length === 0) return;
+    html += htmlDetails(`${icon(category.role)}${category.label} (${entries.length})`, generateResourceTableHtml(entries, display));
+  });
+  
+  if (result.violations.length > 0) {
+    html += htmlDetails(
+      `${icon('policy')}Policy violations (${result.violations.length})`,
+      '<ul>' + result.violations.map(violation => 
+        `<li><b>${violation.level.toUpperCase()}</b> <code>${escapeHtml(violation.logicalResourceId)}</code> (${escapeHtml(violation.resourceType)}): ${escapeHtml(violation.message)}</li>`
+      ).join('') + '</ul>'
+    );
+  }
+  
+  if (hasStackSettings(result.settings)) {
+    html += generateStackSettingsHtml(result.settings, display);
+  }
+  
+  if (result.drift) {
+    html += generateDriftHtml(result.drift, display);
+  }
+  
+  if (result.suppressed.length > 0) {
+    html += generateSuppressedHtml(result.suppressed);
+  }
+  
+  if (result.deployment && result.deployment.executed) {
+    const outcome = icon(result.deployment.succeeded ? 'success' : 'failure');
+    html += `<p>${icon('deploy')}<b>Deployment:</b> ${outcome}<code>${escapeHtml(result.deployment.stackStatus)}</code></p>\n`;
+  }
+  
+  return html;
+}
+
+/**
+ * Lists the changes at risk of losing data, left expanded so they're seen first
+ */
+function generateDataLossRisksHtml(changeset, display) {
+  const { icon } = display;
+  const risks = collectDataLossRisks(changeset);
+  if (risks.length === 0) return '';
+  
+  return `<p>${icon('warning')}<b>Data-loss risk (${risks.length})</b></p>\n<ul>` + risks.map(resource => {
+    const { level, reason } = resource.DataLossRisk;
+    return `<li>${icon(DATA_LOSS_LABELS[level].icon)}<b>${level.toUpperCase()}</b> <code>${escapeHtml(resource.LogicalResourceId)}</code> (${escapeHtml(resource.ResourceType)}): ${escapeHtml(reason)}</li>`;
+  }).join('') + '</ul>\n';
+}
+
+/**
+ * Renders the stack-level changes in a collapsible block, flagged when a new capability is requested
+ */
+function generateStackSettingsHtml(settings, display) {
+  const { icon } = display;
+  const htmlValue = value => {
+    if (value === null || value === undefined) return '<i>not set</i>';
+    if (value === REDACTED_VALUE) return '<i>hidden (NoEcho)</i>';
+    return `<code>${escapeHtml(value)}</code>`;
+  };
+  let content = '';
+  
+  [['Parameter', settings.parameters], ['Tag', settings.tags]].forEach(([label, entries]) => {
+    if (entries.length === 0) return;
+    content += htmlTable([
+      [label, 'Before', 'After'].map(data => ({ data, header: true })),
+      ...entries.map(entry => [
+        `<code>${escapeHtml(entry.key)}</code>`,
+        htmlValue(entry.before),
+        entry.change === 'masked' ? '<i>hidden (NoEcho), may have changed</i>' : htmlValue(entry.after)
+      ])
+    ]);
+  });
+  
+  if (settings.capabilities.length > 0) {
+    content += '<p><b>Capabilities:</b> ' + settings.capabilities.map(capability => capability.added ?
+      `${icon('warning')}<b><code>${escapeHtml(capability.name)}</code></b> (new)` :
+      `<code>${escapeHtml(capability.name)}</code>`
+    ).join(', ') + '</p>';
+  }
+  
+  const { added, removed } = settings.notificationArns;
+  if (added.length > 0 || removed.length > 0) {
+    content += '<p><b>Notification topics:</b> ' + [
+      ...added.map(arn => `added <code>${escapeHtml(arn)}</code>`),
+      ...removed.map(arn => `removed <code>${escapeHtml(arn)}</code>`)
+    ].join(', ') + '</p>';
+  }
+  
+  if (settings.rollbackConfiguration) {
+    const { before, after } = settings.rollbackConfiguration;
+    content += `<p><b>Rollback configuration:</b> ${escapeHtml(before)} → ${escapeHtml(after)}</p>`;
+  }
+  
+  const { planned, results } = settings.hooks;
+  if (results.length > 0 || planned.length > 0) {
+    content += htmlTable([
+      ['Hook', 'Runs on', 'Failure mode', 'Result'].map(data => ({ data, header: true })),
+      ...results.map(hook => [
+        `<code>${escapeHtml(hook.typeName)}</code>`,
+        escapeHtml(hook.invocationPoint),
+        escapeHtml(hook.failureMode),
+        `<code>${escapeHtml(hook.status)}</code>${hook.reason ? ` ${escapeHtml(hook.reason)}` : ''}`
+      ]),
+      ...planned.map(hook => [
+        `<code>${escapeHtml(hook.typeName)}</code>`,
+        `<code>${escapeHtml(hook.logicalResourceId)}</code> (${escapeHtml(hook.action)})`,
+        escapeHtml(hook.failureMode),
+        'Not run yet'
+      ])
+    ]);
+  }
+  
+  const escalated = settings.capabilities.some(capability => capability.added);
+  return htmlDetails(`${escalated ? icon('warning') : ''}Stack settings`, content);
+}
+
+/**
+ * Renders the stack's drifted resources in a collapsible block, with what the deploy does about each
+ */
+function generateDriftHtml(drift, display) {
+  const { icon } = display;
+  if (drift.status === 'IN_SYNC') {
+    return `<p>${icon('success')}<b>Drift:</b> in sync, no resource has drifted from the template.</p>\n`;
+  }
+  
+  let content = '';
+  if (drift.detectionStatus === 'DETECTION_FAILED') {
+    content += `<p>${icon('warning')}<b>Not every resource could be checked:</b> ${escapeHtml(drift.detectionStatusReason || 'no reason given')}</p>`;
+  }
+  content += htmlTable([
+    ['Resource', 'Type', 'Drift', 'Drifted properties', 'This changeset'].map(data => ({ data, header: true })),
+    ...drift.resources.map(entry => [
+      `<code>${escapeHtml(entry.logicalResourceId)}</code>`,
+      escapeHtml(entry.resourceType),
+      escapeHtml(entry.status),
+      entry.properties.map(property => `<code>${escapeHtml(property.path)}</code> (${escapeHtml(property.differenceType)})`).join('<br>') || '-',
+      entry.changed ? escapeHtml(DRIFT_OUTCOMES[entry.outcome]) : 'Doesn\'t touch it, it stays drifted'
+    ])
+  ]);
+  
+  return htmlDetails(`${icon('drift')}Drift: ${drift.status} (${drift.resources.length} drifted)`, content);
+}
+
+function generateSuppressedHtml(suppressed) {
+  return htmlDetails(`Suppressed changes (${suppressed.length})`, htmlTable([
+    ['Resource', 'Type', 'Suppressed', 'Reason'].map(data => ({ data, header: true })),
+    ...suppressed.map(entry => [
+      `<code>${escapeHtml(entry.logicalResourceId)}</code>`,
+      escapeHtml(entry.resourceType),
+      escapeHtml(describeSuppressedScope(entry)),
+      escapeHtml(entry.reason)
+    ])
+  ]));
+}
+
+/**
+ * Builds an HTML table from rows of cells, where a cell is pre-escaped HTML or `{ data, header }`
+ */
+function htmlTable(rows) {
+  return '<table>' + rows.map(row => '<tr>' + row.map(cell => {
+    const { data, header } = typeof cell === 'object' ? cell : { data: cell, header: false };
+    return header ? `<th>${data}</th>` : `<td>${data}</td>`;
+  }).join('') + '</tr>').join('') + '</table>';
+}
+
+function htmlDetails(label, content) {
+  return `<details><summary>${label}</summary>${content}</details>\n`;
+}
+
+/**
+ * Builds the HTML table of resources shown inside a job summary category
+ */
+function generateResourceTableHtml(entries, display) {
+  let html = '<table><tr><th>Resource</th><th>Type</th><th>Action</th><th>Replacement</th><th>Property changes</th></tr>';
+  
+  entries.forEach(({ resource }) => {
+    const identifier = resource.Action === 'Import' && resource.PhysicalResourceId ?
+      [`Identifier: <code>${escapeHtml(resource.PhysicalResourceId)}</code>`] :
+      [];
+    const risk = resource.DataLossRisk && resource.DataLossRisk.stateful && resource.DataLossRisk.level !== 'none' ?
+      [`Data-loss risk: <b>${resource.DataLossRisk.level.toUpperCase()}</b> (${escapeHtml(resource.DataLossRisk.policy)})`] :
+      [];
+    const drift = resource.Drift ?
+      [`${display.icon('drift')}Drift: <b>${escapeHtml(resource.Drift.status)}</b>, ${escapeHtml(DRIFT_OUTCOMES[resource.Drift.outcome])}`] :
+      [];
+    const properties = identifier.concat(risk, drift, (resource.Details || [])
+      .filter(detail => detail.Target && detail.Target.Name)
+      .map(detail => {
+        const recreates = detail.Target.RequiresRecreation === 'Always' || detail.Target.RequiresRecreation === 'Conditionally';
+        return `${recreates ? display.icon('warning') : ''}<code>${escapeHtml(detail.Target.Name)}</code> (${escapeHtml(detail.ChangeSource)})`;
+      }));
+    
+    html += `<tr><td>${escapeHtml(resource.LogicalResourceId)}</td><td>${escapeHtml(resource.ResourceType)}</td>` +
+      `<td>${escapeHtml(resource.Action)}</td><td>${escapeHtml(resource.Replacement || 'N/A')}</td>` +
+      `<td>${properties.join('<br>') || '-'}</td></tr>`;
+  });
+  
+  return html + '</table>';
+}
+
+/**
+ * Escapes text for use inside the HTML of the job summary
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  writeJobSummary,
+  generateHtmlReport,
+  escapeHtml
+};
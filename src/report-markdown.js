@@ -0,0 +1,466 @@
+const { inlineCode } = require('./utils');
+const { DEFAULT_DISPLAY } = require('./display');
+const {
+  isNoChangesChangeSet,
+  CATEGORIES,
+  SEVERITY_ORDER,
+  categoryOf,
+  classifyChanges,
+  countChanges,
+  findReplacementCauses,
+  describeCausingEntity
+} = require('./changes');
+const { REDACTED_VALUE, findRedactedPaths, formatValueChangeMarkdown } = require('./values');
+const { describeSuppressedScope } = require('./suppress');
+const { collectDataLossRisks, DATA_LOSS_LABELS, deletionPolicyOf } = require('./data-loss');
+const { DRIFT_OUTCOMES } = require('./drift');
+const { hasStackSettings } = require('./stack-settings');
+const { buildCascadeGraph, describeCascadeRoot, formatCascadeMermaid } = require('./cascade');
+const { formatProvenanceLabel, formatStaleReason } = require('./changeset-selection');
+const { statusRole } = require('./deploy');
+
+/**
+ * Builds the PR comment section for a stack that couldn't be reported on
+ */
+function generateErrorSection(result, display) {
+  let markdown = `## Stack: \`${result.stackName}\`${result.location ? ` (${result.location})` : ''}\n\n`;
+  if (result.changesetName) {
+    markdown += `> **Changeset:** \`${result.changesetName}\`\n\n`;
+  }
+  markdown += `${display.icon('remove')}**Failed to ${result.errorStep} the changeset:** ${result.error}\n`;
+  return markdown;
+}
+
+const PR_DETAIL_LEVELS = ['full', 'compact', 'table', 'summary'];
+
+/**
+ * Creates a markdown formatted section for a stack's changeset without the main title
+ * This will be used to create sections within a single report
+ *
+ * `options.detailLevel` trims the section to fit GitHub's comment size limit:
+ * - `full` - every resource with its property changes and values
+ * - `compact` - every resource with its property changes, without values
+ * - `table` - the summary and the table of all changes
+ * - `summary` - the summary counts only
+ *
+ * `options.display` picks the emoji set, `options.suppressed` lists the changes removed by the ignore rules
+ * `options.settings` holds the stack-level changes from `compareStackSettings`, `options.drift`
+ * the stack's drift from `detectStackDrift` and `options.delta` the changes since the previous
+ * commit from `compareSnapshots`
+ */
+function generatePRSection(changeset, stackName, violations = [], options = {}) {
+  const { nestedLogicalId, location = '', provenance = null, stale = null, detailLevel = 'full', suppressed = [], settings = null, drift = null, delta = null, display = DEFAULT_DISPLAY } = options;
+  const { icon } = display;
+  const level = PR_DETAIL_LEVELS.indexOf(detailLevel);
+  const changes = changeset.Changes || [];
+  const totalCount = changes.length;
+  
+  // Summary counts roll up the changes of nested stacks
+  const counts = countChanges(changeset);
+  const hasNested = (changeset.NestedChangeSets || []).length > 0;
+  
+  // Property values that come from NoEcho parameters are never printed
+  const redactedPaths = findRedactedPaths(changeset);
+  
+  // Nested stacks are rendered one heading level below their parent
+  const depth = nestedLogicalId ? 1 : 0;
+  const h2 = '#'.repeat(2 + depth);
+  const h3 = '#'.repeat(3 + depth);
+  const h4 = '#'.repeat(4 + depth);
+  
+  // Group resources like in the console report
+  const replacementGroups = classifyChanges(changes);
+  
+  // Build markdown section (no title)
+  let markdown = nestedLogicalId ?
+    `${h2} Nested stack: \`${nestedLogicalId}\` (\`${stackName}\`)\n\n` :
+    `${h2} Stack: \`${stackName}\`${location ? ` (${location})` : ''}\n\n`;
+
+  // Add stack and changeset information
+  markdown += `> **Changeset:** \`${changeset.ChangeSetName}\`  \n`;
+  markdown += `> **Status:** \`${changeset.Status}\`  \n`;
+  markdown += `> **Execution Status:** \`${changeset.ExecutionStatus || 'N/A'}\``;
+  markdown += provenance ? `  \n> **Provenance:** ${formatProvenanceLabel(provenance)}\n\n` : '\n\n';
+  
+  if (stale) {
+    markdown += `${icon('warning')}**Stale changeset:** ${formatStaleReason(stale)}\n\n`;
+  }
+  
+  markdown += formatDeltaMarkdown(delta, h3, display);
+  
+  // Empty and failed changesets have no changes to list
+  if (isNoChangesChangeSet(changeset)) {
+    return markdown + `${icon('success')}**No changes** - the changeset contains nothing to deploy.`;
+  }
+  
+  if (changeset.Status === 'FAILED') {
+    return markdown + `${icon('failure')}**Changeset failed:** ${changeset.StatusReason || 'No reason given'}`;
+  }
+  
+  if (counts.total === 0 && suppressed.length > 0) {
+    markdown += `${icon('success')}**No meaningful changes** - every change matched an ignore rule.\n\n`;
+    markdown += formatViolationsMarkdown(violations, h3, display) + formatStackSettingsMarkdown(settings, h3, display);
+    markdown += formatDriftMarkdown(drift, h3, display);
+    return markdown + formatSuppressedMarkdown(suppressed);
+  }
+  
+  // Add summary section
+  markdown += `${h3} Changes Summary (${counts.total}${hasNested ? ' including nested stacks' : ''})\n\n`;
+
+  SEVERITY_ORDER.forEach(group => {
+    const category = CATEGORIES.find(entry => entry.group === group);
+    if (counts[group] > 0) {
+      markdown += `- ${icon(category.role)}**${category.summary}:** ${counts[group]}\n`;
+    }
+  });
+  
+  markdown += '\n';
+  
+  // Add data-loss risks and policy violations (if any)
+  if (!nestedLogicalId) {
+    markdown += formatDataLossRisksMarkdown(changeset, h3, display);
+  }
+  markdown += formatViolationsMarkdown(violations, h3, display);
+  
+  // The smallest detail level stops at the summary
+  if (detailLevel === 'summary') {
+    if (suppressed.length > 0) {
+      markdown += `_${suppressed.length} suppressed change(s) not shown._`;
+    }
+    return markdown.trimEnd();
+  }
+  
+  markdown += formatStackSettingsMarkdown(settings, h3, display);
+  markdown += formatDriftMarkdown(drift, h3, display);
+  
+  // Add table of all changes
+  if (totalCount > 0) {
+    markdown += `${h3} All Changes\n\n`;
+    markdown += `| # | Resource | Type | Action | Replacement |\n`;
+    markdown += `|---|---------|------|--------|-------------|\n`;
+    
+    changes.forEach((change, i) => {
+      const resource = change.ResourceChange;
+      markdown += `| ${i+1} | ${icon(categoryOf(resource).role)}${resource.LogicalResourceId} | ${resource.ResourceType} | ${resource.Action} | ${resource.Replacement || 'N/A'} |\n`;
+    });
+
+    // Show how changes to one resource ripple through the resources that reference it
+    const cascade = buildCascadeGraph(changes);
+    if (cascade) {
+      markdown += `\n${h4} Replacement Cascade\n\n`;
+      cascade.roots.forEach(root => {
+        const label = root.startsWith('Parameter:') ? `parameter \`${root.substring('Parameter:'.length)}\`` : `\`${root}\``;
+        markdown += `- **Root cause:** ${label} → ${describeCascadeRoot(cascade, root)}\n`;
+      });
+      cascade.directlyEdited.filter(node => !cascade.roots.includes(node)).forEach(node => {
+        markdown += `- **Also edited directly:** \`${node}\` → ${describeCascadeRoot(cascade, node)}\n`;
+      });
+      markdown += `\n${formatCascadeMermaid(cascade, display)}`;
+    }
+
+    // One collapsible block per resource, grouped like the console report
+    if (level <= PR_DETAIL_LEVELS.indexOf('compact')) {
+      markdown += '\n';
+      CATEGORIES.forEach(category => {
+        const entries = replacementGroups[category.group];
+        if (entries.length === 0) return;
+        
+        markdown += `${h4} ${icon(category.role)}${category.title} (${entries.length})\n\n`;
+        entries.forEach(({ resource }, localIndex) => {
+          markdown += formatResourceMarkdown(resource, category, localIndex + 1, {
+            redactedPaths,
+            includeValues: detailLevel === 'full',
+            display
+          });
+        });
+      });
+    }
+  } else {
+    markdown += 'No changes detected.';
+  }
+  
+  // Nested stack changesets go in collapsible sections under their parent
+  (changeset.NestedChangeSets || []).forEach(nested => {
+    const nestedCounts = countChanges(nested.changeset);
+    markdown = markdown.trimEnd() + `\n\n<details>\n<summary>${icon('nested')}Nested stack <code>${nested.logicalResourceId}</code> (${nestedCounts.total} changes)</summary>\n\n`;
+    markdown += generatePRSection(nested.changeset, nested.stackName, [], { nestedLogicalId: nested.logicalResourceId, detailLevel, display });
+    markdown += '\n\n</details>';
+  });
+  
+  if (suppressed.length > 0) {
+    markdown = markdown.trimEnd() + `\n\n${formatSuppressedMarkdown(suppressed)}`;
+  }
+  
+  return markdown.trimEnd();
+}
+
+function formatDeltaMarkdown(delta, heading, display) {
+  const { icon } = display;
+  if (!delta) return '';
+  
+  const shortSha = delta.sha.substring(0, 7);
+  const { added, resolved, escalated } = delta;
+  let markdown = `${heading} ${icon('delta')}Since Previous Commit (${shortSha})\n\n`;
+  
+  if (added.length + resolved.length + escalated.length === 0) {
+    return markdown + `No changes since ${shortSha}.\n\n`;
+  }
+  
+  const label = key => (CATEGORIES.find(category => category.key === key) || { label: key }).label;
+  const describe = entry => entry.dataLossRisk !== 'none' ?
+    `${label(entry.category)}, ${entry.dataLossRisk.toUpperCase()} data-loss risk` :
+    label(entry.category);
+  const resource = entry => `${inlineCode(entry.logicalResourceId)} (${entry.resourceType})`;
+  
+  added.forEach(entry => {
+    const category = CATEGORIES.find(candidate => candidate.key === entry.category);
+    markdown += `- ${icon(category ? category.role : 'other')}**New:** ${resource(entry)} - ${describe(entry)}\n`;
+  });
+  escalated.forEach(entry => {
+    const { previous } = entry;
+    const changes = [
+      entry.category !== previous.category && `${label(previous.category)} → ${label(entry.category)}`,
+      entry.dataLossRisk !== previous.dataLossRisk && `data-loss risk ${previous.dataLossRisk.toUpperCase()} → ${entry.dataLossRisk.toUpperCase()}`
+    ].filter(Boolean);
+    markdown += `- ${icon('warning')}**Escalated:** ${resource(entry)} - ${changes.join(', ')}\n`;
+  });
+  resolved.forEach(entry => {
+    markdown += `- ${icon('success')}**Resolved:** ${resource(entry)} - was ${describe(entry)}\n`;
+  });
+  
+  return markdown + '\n';
+}
+
+function formatDataLossRisksMarkdown(changeset, heading, display) {
+  const { icon } = display;
+  const risks = collectDataLossRisks(changeset);
+  if (risks.length === 0) return '';
+  
+  let markdown = `${heading} ${icon('warning')}Data-Loss Risk (${risks.length})\n\n`;
+  markdown += `| Risk | Resource | Type | Action | Why |\n`;
+  markdown += `|------|----------|------|--------|-----|\n`;
+  
+  risks.forEach(resource => {
+    const { level, reason } = resource.DataLossRisk;
+    markdown += `| ${icon(DATA_LOSS_LABELS[level].icon)}**${level.toUpperCase()}** | ${inlineCode(resource.LogicalResourceId)} | ${resource.ResourceType} | ${resource.Action} | ${reason} |\n`;
+  });
+  
+  return markdown + '\n';
+}
+
+function formatViolationsMarkdown(violations, heading, display) {
+  const { icon } = display;
+  if (violations.length === 0) return '';
+  
+  let markdown = `${heading} Policy Violations (${violations.length})\n\n`;
+  markdown += `| Level | Resource | Type | Rule |\n`;
+  markdown += `|-------|----------|------|------|\n`;
+  
+  violations.forEach(violation => {
+    const label = violation.level === 'fail' ? `${icon('remove')}**FAIL**` : `${icon('warning')}WARN`;
+    const message = String(violation.message).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    markdown += `| ${label} | \`${violation.logicalResourceId}\` | ${violation.resourceType} | ${message} |\n`;
+  });
+  
+  return markdown + '\n';
+}
+
+/**
+ * Renders the changeset's parameter, tag, capability, notification topic, rollback and hook changes
+ */
+function formatStackSettingsMarkdown(settings, heading, display) {
+  if (!hasStackSettings(settings)) return '';
+  const { icon } = display;
+  let markdown = `${heading} Stack Settings\n\n`;
+  
+  [['Parameter', settings.parameters], ['Tag', settings.tags]].forEach(([label, entries]) => {
+    if (entries.length === 0) return;
+    markdown += `| ${label} | Before | After |\n`;
+    markdown += `|${'-'.repeat(label.length + 2)}|--------|-------|\n`;
+    entries.forEach(entry => {
+      const after = entry.change === 'masked' ? '_hidden (NoEcho), may have changed_' : markdownSettingValue(entry.after);
+      markdown += `| ${markdownSettingValue(entry.key)} | ${markdownSettingValue(entry.before)} | ${after} |\n`;
+    });
+    markdown += '\n';
+  });
+  
+  if (settings.capabilities.length > 0) {
+    const capabilities = settings.capabilities.map(capability => capability.added ?
+      `${icon('warning')}**\`${capability.name}\`** (new)` :
+      `\`${capability.name}\``
+    );
+    markdown += `**Capabilities:** ${capabilities.join(', ')}\n\n`;
+  }
+  
+  const { added, removed } = settings.notificationArns;
+  if (added.length > 0 || removed.length > 0) {
+    const topics = [...added.map(arn => `added \`${arn}\``), ...removed.map(arn => `removed \`${arn}\``)];
+    markdown += `**Notification topics:** ${topics.join(', ')}\n\n`;
+  }
+  
+  if (settings.rollbackConfiguration) {
+    markdown += `**Rollback configuration:** ${settings.rollbackConfiguration.before} → ${settings.rollbackConfiguration.after}\n\n`;
+  }
+  
+  const { planned, results } = settings.hooks;
+  if (results.length > 0) {
+    markdown += `| Hook | Invocation point | Failure mode | Result |\n`;
+    markdown += `|------|------------------|--------------|--------|\n`;
+    results.forEach(hook => {
+      const role = statusRole(hook.status);
+      const outcome = role === 'success' || role === 'failure' ? icon(role) : '';
+      markdown += `| \`${hook.typeName}\` | ${hook.invocationPoint} | ${hook.failureMode} | ${outcome}\`${hook.status}\`${hook.reason ? ` ${hook.reason.replace(/\|/g, '\\|')}` : ''} |\n`;
+    });
+    markdown += '\n';
+  }
+  if (planned.length > 0) {
+    markdown += `**Hooks that will run:**\n\n`;
+    planned.forEach(hook => {
+      markdown += `- \`${hook.typeName}\` on \`${hook.logicalResourceId}\` (${hook.action}), ${hook.failureMode} mode\n`;
+    });
+    markdown += '\n';
+  }
+  
+  return markdown;
+}
+
+function formatDriftMarkdown(drift, heading, display) {
+  if (!drift) return '';
+  const { icon } = display;
+  const untouched = drift.resources.filter(entry => !entry.changed);
+  
+  let markdown = `${heading} ${icon('drift')}Drift\n\n`;
+  if (drift.status === 'IN_SYNC') {
+    markdown += `${icon('success')}**In sync** - no resource has drifted from the template.\n\n`;
+  } else {
+    markdown += `**Stack ${drift.status}:** ${drift.resources.length} drifted resource(s), ${drift.resources.length - untouched.length} changed by this changeset.\n\n`;
+  }
+  if (drift.detectionStatus === 'DETECTION_FAILED') {
+    markdown += `${icon('warning')}**Not every resource could be checked:** ${drift.detectionStatusReason || 'no reason given'}\n\n`;
+  }
+  
+  if (untouched.length > 0) {
+    markdown += `Drifted resources this changeset won't touch, they stay drifted:\n\n`;
+    markdown += `| Resource | Type | Drift | Drifted properties |\n`;
+    markdown += `|----------|------|-------|--------------------|\n`;
+    untouched.forEach(entry => {
+      const properties = entry.properties.map(property => `${inlineCode(property.path)} (${property.differenceType})`).join(', ') || '-';
+      markdown += `| ${inlineCode(entry.logicalResourceId)} | ${entry.resourceType} | ${entry.status} | ${properties} |\n`;
+    });
+    markdown += '\n';
+  }
+  
+  return markdown;
+}
+
+function markdownSettingValue(value) {
+  if (value === null || value === undefined) return '_not set_';
+  if (value === REDACTED_VALUE) return '_hidden (NoEcho)_';
+  return inlineCode(String(value)).replace(/\|/g, '\\|');
+}
+
+/**
+ * Lists the changes removed by the ignore rules in a collapsed block
+ */
+function formatSuppressedMarkdown(suppressed) {
+  let markdown = `<details>\n<summary>Suppressed changes (${suppressed.length})</summary>\n\n`;
+  markdown += `| Resource | Type | Suppressed | Reason |\n`;
+  markdown += `|----------|------|------------|--------|\n`;
+  
+  suppressed.forEach(entry => {
+    markdown += `| ${entry.logicalResourceId} | ${entry.resourceType} | ${describeSuppressedScope(entry)} | ${entry.reason.replace(/\|/g, '\\|')} |\n`;
+  });
+  
+  return markdown + '\n</details>';
+}
+
+/**
+ * Formats one resource of a PR comment category as a collapsible block,
+ * with the same details the console report shows for that category
+ */
+function formatResourceMarkdown(resource, category, number, { redactedPaths, includeValues, display }) {
+  const { icon } = display;
+  const isReplaced = category.group === 'Will be replaced';
+  const isRemoved = category.group === 'Removed resources';
+  const details = resource.Details || [];
+  
+  const policy = deletionPolicyOf(resource);
+  const risk = resource.DataLossRisk;
+  let warning = '';
+  if (isRemoved) {
+    warning = { Retain: ` ${icon('info')}**RETAINED**`, Snapshot: ` ${icon('warning')}**DELETED after a snapshot**` }[policy] ||
+      ` ${icon('warning')}**PERMANENTLY DELETED**`;
+  } else if (risk && risk.level === 'high') {
+    warning = ` ${icon('warning')}**DATA LOSS**`;
+  }
+  let markdown = `<details>\n<summary><b>${number}. ${resource.LogicalResourceId}</b> (<code>${resource.ResourceType}</code>)${warning}</summary>\n\n`;
+  markdown += `- **Action:** ${resource.Action}\n`;
+  
+  if (resource.Action === 'Import') {
+    markdown += `- **Identifier:** ${resource.PhysicalResourceId ? inlineCode(resource.PhysicalResourceId) : 'not reported'}\n`;
+  } else if (!isRemoved && resource.Action !== 'Add' && !resource.ChangeType) {
+    markdown += `- **Replacement:** ${resource.Replacement || 'N/A'}\n`;
+  }
+  if (category.explanation) {
+    markdown += `- _${category.explanation}_\n`;
+  }
+  
+  // Highlight what's causing the replacement
+  if (isReplaced) {
+    markdown += `- **${icon('warning')}Replacement Reason:**\n`;
+    
+    const replacementCauses = findReplacementCauses(details);
+    
+    if (replacementCauses.length > 0) {
+      replacementCauses.forEach(detail => {
+        markdown += `  - Property \`${detail.Target.Name}\` requires recreation (${detail.Target.RequiresRecreation})${describeCausingEntity(detail)}\n`;
+      });
+    } else {
+      markdown += `  - Implicit replacement due to dependent resource changes\n`;
+    }
+  }
+  
+  if (details.length > 0) {
+    markdown += `- **${category.detailsLabel}:**\n`;
+    details.forEach(detail => {
+      const isReplacementCause = detail.Target.RequiresRecreation === 'Always' || 
+                                detail.Target.RequiresRecreation === 'Conditionally';
+      const prefix = isReplaced && isReplacementCause ? icon('warning') : '';
+      markdown += `  - ${prefix}${detail.Target.Name || detail.Target.Attribute}: ${detail.ChangeSource} (${detail.Target.Attribute})\n`;
+      if (includeValues) {
+        markdown += formatValueChangeMarkdown(resource, detail, redactedPaths);
+      }
+    });
+  }
+  
+  if (risk && risk.stateful && risk.level !== 'none') {
+    markdown += `- **Data-loss risk:** ${icon(DATA_LOSS_LABELS[risk.level].icon)}**${risk.level.toUpperCase()}** - ${risk.reason}\n`;
+  }
+  
+  if (resource.Drift) {
+    const deployed = !['removed', 'missing'].includes(resource.Drift.outcome);
+    markdown += `- **${icon('drift')}Drift:** ${resource.Drift.status} - ${DRIFT_OUTCOMES[resource.Drift.outcome]}\n`;
+    resource.Drift.properties.forEach(property => {
+      const label = property.reconciled ? 'reset by this change' : '**stays drifted**';
+      markdown += `  - ${inlineCode(property.path)} (${property.differenceType})${deployed ? ` ${label}` : ''}\n`;
+    });
+  }
+  
+  if (isRemoved) {
+    if (policy === 'Retain') {
+      markdown += `- ${icon('info')}**Note:** This resource will be removed from the stack but **RETAINED**\n`;
+    } else if (policy === 'Snapshot') {
+      markdown += `- ${icon('warning')}**Warning:** This resource will be **DELETED** after a final snapshot\n`;
+    } else {
+      markdown += `- ${icon('warning')}**Warning:** This resource will be **PERMANENTLY DELETED**\n`;
+    }
+  }
+  
+  return markdown + '\n</details>\n\n';
+}
+
+module.exports = {
+  generateErrorSection,
+  PR_DETAIL_LEVELS,
+  generatePRSection
+};
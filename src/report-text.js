@@ -0,0 +1,454 @@
+const { spansSeveralLocations } = require('./utils');
+const { DEFAULT_DISPLAY, displayWidth, padDisplay } = require('./display');
+const {
+  isNoChangesChangeSet,
+  CATEGORIES,
+  SEVERITY_ORDER,
+  reportedCategories,
+  categoryOf,
+  classifyChanges,
+  countChanges,
+  findReplacementCauses,
+  describeCausingEntity
+} = require('./changes');
+const { REDACTED_VALUE, findRedactedPaths, formatValueChangeText } = require('./values');
+const { describeSuppressedScope } = require('./suppress');
+const { collectDataLossRisks, DATA_LOSS_LABELS, deletionPolicyOf } = require('./data-loss');
+const { DRIFT_OUTCOMES } = require('./drift');
+const { hasStackSettings } = require('./stack-settings');
+const { buildCascadeGraph, formatCascadeTree } = require('./cascade');
+const { formatProvenanceLabel, formatStaleReason } = require('./changeset-selection');
+const { statusRole } = require('./deploy');
+
+/**
+ * Joins the per-stack console reports, adding cross-stack totals when there is more than one stack
+ */
+function combineReports(results, display = DEFAULT_DISPLAY) {
+  let report = results.map(result => result.report).join('\n');
+  if (results.length > 1) {
+    report += generateTotalsReport(results, display);
+  }
+  return report;
+}
+
+/**
+ * Builds the cross-stack totals table shown after the individual reports
+ */
+function generateTotalsReport(results, display = DEFAULT_DISPLAY) {
+  const { paint } = display;
+  let report = `\n${paint('heading', `── Cross-Stack Totals (${results.length} stacks) ──`)}\n\n`;
+  
+  const categories = reportedCategories(
+    SEVERITY_ORDER.map(group => CATEGORIES.find(category => category.group === group)),
+    results.map(result => countChanges(result.changeset))
+  );
+  const showLocation = spansSeveralLocations(results);
+  const headers = ['Stack', ...(showLocation ? ['Location'] : []), 'Changeset', ...categories.map(category => category.label), 'Total'];
+  const rows = results.map(result => {
+    const counts = countChanges(result.changeset);
+    return [
+      result.stackName,
+      ...(showLocation ? [result.location || ''] : []),
+      result.noChangesetFound ? 'NO_CHANGESETS' : result.changesetName,
+      ...categories.map(category => counts[category.group]),
+      counts.total
+    ].map(String);
+  });
+  
+  // Add a totals row summing every numeric column
+  const totals = ['Total', ...(showLocation ? [''] : []), ''];
+  for (let column = totals.length; column < headers.length; column++) {
+    totals.push(String(rows.reduce((sum, row) => sum + Number(row[column]), 0)));
+  }
+  
+  // Size each column to its widest cell
+  const widths = headers.map((header, column) => 
+    Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[column])), displayWidth(totals[column]))
+  );
+  const formatRow = cells => `| ${cells.map((cell, column) => padDisplay(cell, widths[column])).join(' | ')} |`;
+  
+  report += `${paint('strong', formatRow(headers))}\n`;
+  report += `${paint('strong', formatRow(widths.map(width => '-'.repeat(width))))}\n`;
+  rows.forEach(row => {
+    report += `${formatRow(row)}\n`;
+  });
+  report += `${paint('heading', formatRow(totals))}\n`;
+  
+  return report;
+}
+
+/**
+ * Builds the console report for a changeset
+ *
+ * `options.display` decides between ANSI colors and plain text, and which emoji are used.
+ * Nested stacks pass `options.nestedLogicalId` and are indented under their parent.
+ * `options.suppressed` lists the changes removed by the ignore rules, shown at the end.
+ * `options.settings` holds the parameter, tag, capability and hook changes from `compareStackSettings`
+ * and `options.drift` the stack's drift from `detectStackDrift`.
+ */
+function generateActionReport(changeset, stackName, violations = [], options = {}) {
+  const { nestedLogicalId, location = '', provenance = null, stale = null, suppressed = [], settings = null, drift = null, display = DEFAULT_DISPLAY } = options;
+  const { paint, icon } = display;
+  
+  let report;
+  if (nestedLogicalId) {
+    report = `${paint('heading', `↳ Nested stack ${nestedLogicalId}`)} (${paint('muted', stackName)})\n\n`;
+  } else {
+    report = `${paint('heading', '── Cloudformation Changeset Report ──')}\n\n`;
+    report += `${paint('strong', `• ${stackName}`)}${location ? ` ${paint('muted', `(${location})`)}` : ''}\n`;
+    if (provenance) {
+      report += `  ${paint('muted', formatProvenanceLabel(provenance))}\n`;
+    }
+    if (stale) {
+      report += `${icon('warning')}${paint('warning', 'Stale changeset:')} ${formatStaleReason(stale)}\n`;
+    }
+    report += '\n';
+  }
+  
+  // Empty and failed changesets have no changes to list
+  if (isNoChangesChangeSet(changeset)) {
+    report += `${icon('success')}${paint('success', 'No changes:')} the changeset contains nothing to deploy\n`;
+    return report;
+  }
+  
+  if (changeset.Status === 'FAILED') {
+    report += `${icon('failure')}${paint(['failure', 'bold'], `Changeset ${changeset.ChangeSetName} failed`)}\n`;
+    report += `   ${paint('strong', 'Reason:')} ${changeset.StatusReason || 'No reason given'}\n`;
+    return report;
+  }
+  
+  const changes = changeset.Changes || [];
+  const totalCount = changes.length;
+  
+  // Summary counts roll up the changes of nested stacks
+  const counts = countChanges(changeset);
+  const hasNested = (changeset.NestedChangeSets || []).length > 0;
+  
+  if (counts.total === 0 && suppressed.length > 0) {
+    report += `${icon('success')}${paint('success', 'No meaningful changes:')} every change matched an ignore rule\n\n`;
+    report += formatViolationsText(violations, display) + formatStackSettingsText(settings, display) + formatDriftText(drift, display);
+    return report + formatSuppressedText(suppressed, display);
+  }
+  
+  // Property values that come from NoEcho parameters are never printed
+  const redactedPaths = findRedactedPaths(changeset);
+  
+  // Group resources by replacement status
+  const replacementGroups = classifyChanges(changes);
+  
+  report += `${paint('heading', `── Changes Summary (${counts.total}${hasNested ? ' including nested stacks' : ''}) ──`)}\n\n`;
+  
+  // Create summary with counts
+  SEVERITY_ORDER.forEach(group => {
+    const category = CATEGORIES.find(entry => entry.group === group);
+    if (counts[group] > 0) {
+      report += `${icon(category.role)}${paint(category.role, `${category.summary}:`)} ${counts[group]}  \n`;
+    }
+  });
+  report += '\n';
+  
+  // Data-loss risks and policy rule hits are listed before the tables so they can't be missed
+  if (!nestedLogicalId) {
+    report += formatDataLossRisksText(changeset, display);
+  }
+  report += formatViolationsText(violations, display);
+  report += formatStackSettingsText(settings, display);
+  report += formatDriftText(drift, display);
+  
+  // Create a complete table with all changes
+  if (totalCount > 0) {
+    report += `${paint('heading', '── All Changes ──')}\n\n`;
+    
+    const headers = ['#', 'Resource', 'Type', 'Action', 'Replacement'];
+    const rows = changes.map((change, i) => {
+      const resource = change.ResourceChange;
+      const { role } = categoryOf(resource);
+      return [
+        String(i + 1),
+        `${icon(role)}${paint(role, resource.LogicalResourceId)}`,
+        resource.ResourceType,
+        paint(role, resource.Action),
+        paint(role, resource.Replacement || 'N/A')
+      ];
+    });
+    
+    // Size each column by the display width of its widest cell, so colors and emoji don't push the columns out
+    const widths = headers.map((header, column) =>
+      Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[column])))
+    );
+    const separator = ` ${paint('strong', '|')} `;
+    
+    report += `${paint('strong', `| ${headers.map((header, column) => padDisplay(header, widths[column])).join(' | ')} |`)}\n`;
+    report += `${paint('strong', `| ${widths.map(width => '-'.repeat(width)).join(' | ')} |`)}\n`;
+    rows.forEach(row => {
+      report += `${paint('strong', '|')} ${row.map((cell, column) => padDisplay(cell, widths[column])).join(separator)} ${paint('strong', '|')}\n`;
+    });
+    
+    // Show how changes to one resource ripple through the resources that reference it
+    const cascade = buildCascadeGraph(changes);
+    if (cascade) {
+      report += `\n\n${paint('heading', '── Replacement Cascade ──')}\n\n`;
+      report += formatCascadeTree(cascade, display);
+    }
+    
+    // Create detailed sections by replacement type
+    CATEGORIES.forEach(category => {
+      const entries = replacementGroups[category.group];
+      if (entries.length === 0) return;
+      
+      report += `\n\n${paint([category.role, 'bold'], `${icon(category.role)}${category.title}`)} (${entries.length})\n\n`;
+      entries.forEach(({ resource }, localIndex) => {
+        report += formatResourceText(resource, category, localIndex + 1, { redactedPaths, display });
+      });
+    });
+  } else {
+    report += 'No changes detected.\n';
+  }
+  
+  // Nested stack changesets are shown indented under their parent
+  (changeset.NestedChangeSets || []).forEach(nested => {
+    const nestedReport = generateActionReport(nested.changeset, nested.stackName, [], { nestedLogicalId: nested.logicalResourceId, display });
+    report += '\n' + nestedReport.split('\n').map(line => line ? `    ${line}` : line).join('\n');
+  });
+  
+  if (suppressed.length > 0) {
+    report = `${report.trimEnd()}\n\n\n${formatSuppressedText(suppressed, display)}`;
+  }
+  
+  return report;
+}
+
+/**
+ * Lists the changes rated `high` or `medium` for data-loss risk, including those of nested stacks
+ */
+function formatDataLossRisksText(changeset, display) {
+  const { paint } = display;
+  const risks = collectDataLossRisks(changeset);
+  if (risks.length === 0) return '';
+  
+  let text = `${paint('heading', `── Data-Loss Risk (${risks.length}) ──`)}\n\n`;
+  risks.forEach(resource => {
+    text += `${formatDataLossLevelText(resource.DataLossRisk.level, display)} ${paint('strong', resource.LogicalResourceId)} (${paint('muted', resource.ResourceType)}): ${resource.DataLossRisk.reason}\n`;
+  });
+  
+  return text + '\n';
+}
+
+function formatDataLossLevelText(level, display) {
+  const label = DATA_LOSS_LABELS[level];
+  return `${display.icon(label.icon)}${display.paint(label.role, level.toUpperCase())}`;
+}
+
+function formatViolationsText(violations, display) {
+  const { paint, icon } = display;
+  if (violations.length === 0) return '';
+  
+  let text = `${paint('heading', `── Policy Violations (${violations.length}) ──`)}\n\n`;
+  violations.forEach(violation => {
+    const label = violation.level === 'fail' ?
+      `${icon('remove')}${paint('failure', 'FAIL')}` :
+      `${icon('warning')}${paint('warning', 'WARN')}`;
+    text += `${label} ${paint('strong', violation.logicalResourceId)} (${paint('muted', violation.resourceType)}): ${violation.message}\n`;
+  });
+  
+  return text + '\n';
+}
+
+/**
+ * Summarizes the stack's drift and lists the drifted resources the changeset won't touch
+ * The drifted resources it does change are marked in their own details
+ */
+function formatDriftText(drift, display) {
+  if (!drift) return '';
+  const { paint, icon } = display;
+  const untouched = drift.resources.filter(entry => !entry.changed);
+  
+  let text = `${paint('heading', '── Drift ──')}\n\n`;
+  if (drift.status === 'IN_SYNC') {
+    text += `${icon('success')}${paint('success', 'In sync:')} no resource has drifted from the template\n`;
+  } else {
+    text += `${icon('drift')}${paint('warning', `Stack ${drift.status}:`)} ${drift.resources.length} drifted resource(s), ${drift.resources.length - untouched.length} changed by this changeset\n`;
+  }
+  if (drift.detectionStatus === 'DETECTION_FAILED') {
+    text += `${icon('warning')}${paint('warning', 'Not every resource could be checked:')} ${drift.detectionStatusReason || 'no reason given'}\n`;
+  }
+  
+  if (untouched.length > 0) {
+    text += `\n${paint('strong', 'Drifted resources this changeset won\'t touch, they stay drifted:')}\n`;
+    untouched.forEach(entry => {
+      text += `   • ${paint('warning', entry.logicalResourceId)} (${paint('muted', entry.resourceType)}) ${entry.status}` +
+        (entry.properties.length > 0 ? `: ${entry.properties.map(property => `${property.path} (${property.differenceType})`).join(', ')}` : '') + '\n';
+    });
+  }
+  
+  return text + '\n';
+}
+
+/**
+ * Lists the changeset's parameter, tag, capability, notification topic, rollback and hook changes
+ */
+function formatStackSettingsText(settings, display) {
+  if (!hasStackSettings(settings)) return '';
+  const { paint, icon } = display;
+  let text = `${paint('heading', '── Stack Settings ──')}\n\n`;
+  
+  [['Parameters', settings.parameters], ['Tags', settings.tags]].forEach(([label, entries]) => {
+    if (entries.length === 0) return;
+    text += `${paint('strong', `${label} (${entries.length} changed):`)}\n`;
+    entries.forEach(entry => {
+      text += `   ${formatSettingChangeText(entry, display)}\n`;
+    });
+  });
+  
+  if (settings.capabilities.length > 0) {
+    const capabilities = settings.capabilities.map(capability => capability.added ?
+      `${icon('warning')}${paint(['warning', 'bold'], capability.name)} (new)` :
+      capability.name
+    );
+    text += `${paint('strong', 'Capabilities:')} ${capabilities.join(', ')}\n`;
+  }
+  
+  const { added, removed } = settings.notificationArns;
+  if (added.length > 0 || removed.length > 0) {
+    const topics = [...added.map(arn => paint('add', `+ ${arn}`)), ...removed.map(arn => paint('remove', `- ${arn}`))];
+    text += `${paint('strong', 'Notification topics:')} ${topics.join(', ')}\n`;
+  }
+  
+  if (settings.rollbackConfiguration) {
+    const { before, after } = settings.rollbackConfiguration;
+    text += `${paint('strong', 'Rollback configuration:')} ${paint('before', before)} → ${paint('after', after)}\n`;
+  }
+  
+  const { planned, results } = settings.hooks;
+  if (planned.length > 0 || results.length > 0) {
+    text += `${paint('strong', 'Hooks:')}\n`;
+    results.forEach(hook => {
+      const role = statusRole(hook.status);
+      const outcome = role === 'success' || role === 'failure' ? role : 'info';
+      text += `   ${icon(outcome)}${hook.typeName} (${hook.invocationPoint}, ${hook.failureMode}): ${paint(role, hook.status)}${hook.reason ? ` - ${hook.reason}` : ''}\n`;
+    });
+    planned.forEach(hook => {
+      text += `   • ${hook.typeName} will run on ${hook.logicalResourceId} (${hook.action}), ${hook.failureMode} mode\n`;
+    });
+  }
+  
+  return text + '\n';
+}
+
+function formatSettingChangeText(entry, display) {
+  const { paint } = display;
+  const before = describeSettingValue(entry.before);
+  const after = describeSettingValue(entry.after);
+  
+  if (entry.change === 'added') return paint('add', `+ ${entry.key}: ${after}`);
+  if (entry.change === 'removed') return paint('remove', `- ${entry.key} (was ${before})`);
+  if (entry.change === 'masked') return `~ ${entry.key}: ${paint('muted', 'hidden (NoEcho), may have changed')}`;
+  return `~ ${entry.key}: ${paint('before', before)} → ${paint('after', after)}`;
+}
+
+function describeSettingValue(value) {
+  return value === REDACTED_VALUE ? 'hidden (NoEcho)' : value;
+}
+
+/**
+ * Lists the changes removed by the ignore rules, so nothing is hidden without a trace
+ */
+function formatSuppressedText(suppressed, display) {
+  const { paint } = display;
+  let text = `${paint('heading', `── Suppressed Changes (${suppressed.length}) ──`)}\n\n`;
+  
+  suppressed.forEach(entry => {
+    text += `${paint('muted', `• ${entry.logicalResourceId} (${entry.resourceType}) ${describeSuppressedScope(entry)}: ${entry.reason}`)}\n`;
+  });
+  
+  return text;
+}
+
+/**
+ * Formats one resource of a console report category, with the replacement reasons,
+ * property changes and warnings that apply to its category
+ */
+function formatResourceText(resource, category, number, { redactedPaths, display }) {
+  const { paint, icon } = display;
+  const isReplaced = category.group === 'Will be replaced';
+  const isRemoved = category.group === 'Removed resources';
+  const details = resource.Details || [];
+  
+  let report = `   ${paint('bold', `${number}.`)} ${paint(category.role, resource.LogicalResourceId)} (${paint('muted', resource.ResourceType)})\n`;
+  report += `     • ${paint('strong', 'Action:')} ${paint(category.role, resource.Action)}\n`;
+  if (isReplaced) {
+    report += `     • ${paint('strong', 'Replacement:')} ${paint(category.role, resource.Replacement)}\n`;
+  } else if (category.group === 'Modified without replacement' || category.group === 'Dynamic changes') {
+    report += `     • ${paint('strong', 'Replacement:')} ${resource.Replacement || 'N/A'}\n`;
+  }
+  
+  if (resource.Action === 'Import') {
+    report += `     • ${paint('strong', 'Identifier:')} ${paint(category.role, resource.PhysicalResourceId || 'not reported')}\n`;
+  }
+  if (category.explanation) {
+    report += `     • ${paint('muted', category.explanation)}\n`;
+  }
+  
+  // Highlight what's causing the replacement
+  if (isReplaced) {
+    report += `     • ${paint(['bold', 'strong'], `${icon('warning')}Replacement Reason:`)}\n`;
+    
+    if (details.length > 0) {
+      const replacementCauses = findReplacementCauses(details);
+      
+      if (replacementCauses.length > 0) {
+        replacementCauses.forEach(detail => {
+          report += `       - Property ${paint('strong', `\`${detail.Target.Name}\``)} requires recreation ${paint('replace', `(${detail.Target.RequiresRecreation})`)}${describeCausingEntity(detail)}\n`;
+        });
+      } else {
+        report += `       - ${paint('replace', 'Implicit replacement due to dependent resource changes')}\n`;
+      }
+    }
+  }
+  
+  if (details.length > 0) {
+    report += `${isReplaced ? '\n' : ''}     • ${paint('strong', `${category.detailsLabel}:`)}\n`;
+    details.forEach(detail => {
+      // Replacements single out the properties that trigger recreation
+      const isReplacementCause = detail.Target.RequiresRecreation === 'Always' || 
+                               detail.Target.RequiresRecreation === 'Conditionally';
+      const prefix = isReplaced && isReplacementCause ? icon('warning') : '';
+      const nameRole = isReplaced ? (isReplacementCause ? 'replace' : 'strong') : category.role;
+      report += `       - ${prefix}${paint(nameRole, `${detail.Target.Name}:`)} ${detail.ChangeSource} (${paint('muted', detail.Target.Attribute)})\n`;
+      report += formatValueChangeText(resource, detail, redactedPaths, display);
+    });
+  }
+  
+  // Only stateful resources are rated above `low`, the rest would just repeat the removal or replacement
+  const risk = resource.DataLossRisk;
+  if (risk && risk.stateful && risk.level !== 'none') {
+    report += `     • ${paint('strong', 'Data-loss risk:')} ${formatDataLossLevelText(risk.level, display)} - ${risk.reason}\n`;
+  }
+  
+  if (resource.Drift) {
+    report += `     • ${paint('strong', `${icon('drift')}Drift:`)} ${paint('warning', resource.Drift.status)} - ${DRIFT_OUTCOMES[resource.Drift.outcome]}\n`;
+    const deployed = !['removed', 'missing'].includes(resource.Drift.outcome);
+    resource.Drift.properties.forEach(property => {
+      const label = property.reconciled ? paint('success', 'reset by this change') : paint('warning', 'stays drifted');
+      report += `       - ${property.path} (${property.differenceType})${deployed ? ` ${label}` : ''}\n`;
+    });
+  }
+  
+  if (isRemoved) {
+    const policy = deletionPolicyOf(resource);
+    if (policy === 'Retain') {
+      report += `     • ${paint('heading', `${icon('info')}Note:`)} This resource will be removed from the stack but ${paint('success', 'RETAINED')}\n`;
+    } else if (policy === 'Snapshot') {
+      report += `     • ${paint('heading', `${icon('warning')}Warning:`)} This resource will be ${paint('remove', 'DELETED')} after a final snapshot\n`;
+    } else {
+      report += `     • ${paint('heading', `${icon('warning')}Warning:`)} This resource will be ${paint('remove', 'PERMANENTLY DELETED')}\n`;
+    }
+  }
+  
+  return report + '\n';
+}
+
+module.exports = {
+  combineReports,
+  generateActionReport
+};
@@ -0,0 +1,161 @@
+const core = require('@actions/core');
+
+const { listAllPages } = require('./utils');
+const { REDACTED_VALUE } = require('./values');
+
+/**
+ * Describes the deployed stack, or returns null when it has never been deployed or can't be described
+ */
+async function describeCurrentStack(cloudformation, rawStackName) {
+  try {
+    const { Stacks } = await cloudformation.describeStacks({ StackName: rawStackName });
+    const stack = Stacks && Stacks[0];
+    return stack && stack.StackStatus !== 'REVIEW_IN_PROGRESS' ? stack : null;
+  } catch (error) {
+    if (!/does not exist/i.test(error.message)) {
+      core.warning(`Unable to describe stack ${rawStackName}, its parameters and tags won't be compared: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Lists the hooks CloudFormation will invoke for the changeset's resources, and the results
+ * of the hooks that already ran against the changeset itself
+ * Returns null when the hooks can't be described, e.g. without the IAM permissions for it
+ */
+async function describeChangeSetHookResults(cloudformation, changeset) {
+  try {
+    const [planned, results] = await Promise.all([
+      listAllPages(
+        params => cloudformation.describeChangeSetHooks(params),
+        { ChangeSetName: changeset.ChangeSetId, StackName: changeset.StackId },
+        'Hooks'
+      ),
+      listAllPages(
+        params => cloudformation.listHookResults(params),
+        { TargetType: 'CHANGE_SET', TargetId: changeset.ChangeSetId },
+        'HookResults'
+      )
+    ]);
+    return { planned, results };
+  } catch (error) {
+    core.info(`Unable to describe the hooks of changeset ${changeset.ChangeSetName}, they won't be reported: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Compares the stack-level settings of a changeset with the deployed stack
+ *
+ * Parameter and tag changes, notification topic and rollback configuration changes are only
+ * known when the current stack could be described, so saved changesets only list their
+ * capabilities and hooks. NoEcho parameter values are masked on both sides, so those are
+ * listed as possibly changed whenever the changeset sets them.
+ */
+function compareStackSettings(changeset, currentStack, hooks) {
+  const compared = Boolean(currentStack);
+  const current = currentStack || {};
+  
+  const settings = {
+    compared,
+    parameters: compared ? diffNamedValues(current.Parameters, changeset.Parameters, 'ParameterKey', 'ParameterValue') : [],
+    tags: compared ? diffNamedValues(current.Tags, changeset.Tags, 'Key', 'Value') : [],
+    // A capability the deployed stack didn't need is how IAM and macro escalations show up
+    capabilities: (changeset.Capabilities || []).map(name => ({
+      name,
+      added: compared && !(current.Capabilities || []).includes(name)
+    })),
+    notificationArns: {
+      added: compared ? (changeset.NotificationARNs || []).filter(arn => !(current.NotificationARNs || []).includes(arn)) : [],
+      removed: compared ? (current.NotificationARNs || []).filter(arn => !(changeset.NotificationARNs || []).includes(arn)) : []
+    },
+    rollbackConfiguration: null,
+    hooks: {
+      planned: ((hooks && hooks.planned) || []).map(hook => {
+        const target = (hook.TargetDetails && hook.TargetDetails.ResourceTargetDetails) || {};
+        return {
+          typeName: hook.TypeName,
+          invocationPoint: hook.InvocationPoint,
+          failureMode: hook.FailureMode,
+          logicalResourceId: target.LogicalResourceId,
+          resourceType: target.ResourceType,
+          action: target.ResourceAction
+        };
+      }),
+      results: ((hooks && hooks.results) || []).map(hook => ({
+        typeName: hook.TypeName,
+        invocationPoint: hook.InvocationPoint,
+        failureMode: hook.FailureMode,
+        status: hook.Status,
+        reason: hook.HookStatusReason
+      }))
+    }
+  };
+  
+  const before = describeRollbackConfiguration(current.RollbackConfiguration);
+  const after = describeRollbackConfiguration(changeset.RollbackConfiguration);
+  if (compared && before !== after) {
+    settings.rollbackConfiguration = { before, after };
+  }
+  
+  return settings;
+}
+
+/**
+ * Diffs parameters or tags by key, returning only the added, removed and changed ones
+ * SSM parameter types are compared by their resolved values
+ */
+function diffNamedValues(beforeItems, afterItems, keyName, valueName) {
+  const before = new Map((beforeItems || []).map(item => [item[keyName], item]));
+  const after = new Map((afterItems || []).map(item => [item[keyName], item]));
+  const keys = [...new Set([...before.keys(), ...after.keys()])];
+  
+  return keys.flatMap(key => {
+    const previous = before.get(key);
+    const next = after.get(key);
+    if (next && next.UsePreviousValue) return [];
+    
+    const beforeValue = previous ? (previous.ResolvedValue ?? previous[valueName]) : null;
+    const afterValue = next ? (next.ResolvedValue ?? next[valueName]) : null;
+    const masked = beforeValue === REDACTED_VALUE || afterValue === REDACTED_VALUE;
+    
+    if (!previous) return [{ key, change: 'added', before: null, after: afterValue, masked }];
+    if (!next) return [{ key, change: 'removed', before: beforeValue, after: null, masked }];
+    if (masked) return [{ key, change: 'masked', before: REDACTED_VALUE, after: REDACTED_VALUE, masked }];
+    if (beforeValue === afterValue) return [];
+    return [{ key, change: 'modified', before: beforeValue, after: afterValue, masked }];
+  });
+}
+
+/**
+ * Summarizes a rollback configuration by the names of its alarms and its monitoring time
+ */
+function describeRollbackConfiguration(configuration) {
+  const triggers = (configuration && configuration.RollbackTriggers) || [];
+  const minutes = (configuration && configuration.MonitoringTimeInMinutes) || 0;
+  if (triggers.length === 0 && minutes === 0) return 'none';
+  
+  const alarms = triggers.map(trigger => trigger.Arn.split(':').pop()).sort();
+  return `${alarms.length > 0 ? `alarms ${alarms.join(', ')}` : 'no alarms'}, ${minutes} minute(s) of monitoring`;
+}
+
+function hasStackSettings(settings) {
+  return Boolean(settings) && (
+    settings.parameters.length > 0 ||
+    settings.tags.length > 0 ||
+    settings.capabilities.length > 0 ||
+    settings.notificationArns.added.length > 0 ||
+    settings.notificationArns.removed.length > 0 ||
+    settings.rollbackConfiguration !== null ||
+    settings.hooks.planned.length > 0 ||
+    settings.hooks.results.length > 0
+  );
+}
+
+module.exports = {
+  describeCurrentStack,
+  describeChangeSetHookResults,
+  compareStackSettings,
+  hasStackSettings
+};
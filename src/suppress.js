@@ -0,0 +1,175 @@
+const { readConfigDocument, matchesAnyPattern } = require('./utils');
+
+/**
+ * Says whether the whole resource change was suppressed or only some of its properties
+ */
+function describeSuppressedScope(entry) {
+  if (entry.properties.length === 0) return `${entry.action} (whole resource)`;
+  return `${entry.partial ? 'only ' : ''}${entry.properties.join(', ')}`;
+}
+
+// Ignore rule conditions on the resource change, and on the individual property changes within it
+const IGNORE_RESOURCE_CONDITIONS = ['logicalResourceId', 'resourceType', 'action'];
+
+const IGNORE_DETAIL_CONDITIONS = ['scope', 'property', 'changeSource', 'evaluation'];
+
+/**
+ * Loads the noise-filtering rules from the inline `ignore` input or the `ignore-file` input
+ * Both accept YAML (or JSON) with either a top-level `ignore` list or a bare list of rules
+ */
+function loadIgnoreRules(inlineRules, rulesFile) {
+  const document = readConfigDocument(inlineRules, rulesFile, 'ignore rules');
+  if (!document) return [];
+  
+  const { source, parsed } = document;
+  const rules = Array.isArray(parsed) ? parsed : (parsed && parsed.ignore) || [];
+  if (!Array.isArray(rules)) {
+    throw new Error(`Invalid ignore rules in ${source}: 'ignore' must be a list`);
+  }
+  
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Invalid ignore rules in ${source}: rule ${i + 1} must be a mapping`);
+    }
+    
+    const conditions = [...IGNORE_RESOURCE_CONDITIONS, ...IGNORE_DETAIL_CONDITIONS].filter(key => rule[key] != null);
+    if (conditions.length === 0) {
+      throw new Error(`Invalid ignore rules in ${source}: rule ${i + 1} needs at least one of ${[...IGNORE_RESOURCE_CONDITIONS, ...IGNORE_DETAIL_CONDITIONS].join(', ')}`);
+    }
+    
+    return { ...rule, index: i + 1, matchesDetails: IGNORE_DETAIL_CONDITIONS.some(key => rule[key] != null) };
+  });
+}
+
+/**
+ * Removes the changes matched by the ignore rules from a changeset and its nested stacks
+ *
+ * A rule with only resource conditions suppresses the whole resource change. A rule with
+ * property conditions (scope, property, change source, evaluation) suppresses the matching
+ * property changes, and the resource change only goes when all of its property changes do.
+ * The Replacement of a resource change that keeps some of its property changes is worked out again from them.
+ * Returns the filtered changeset and a list of what was suppressed and why.
+ */
+function suppressChanges(changeset, rules, stackPath = '') {
+  if (!rules || rules.length === 0) return { changeset, suppressed: [] };
+  
+  const changes = [];
+  const suppressed = [];
+  
+  (changeset.Changes || []).forEach(change => {
+    const resource = change.ResourceChange;
+    if (!resource) {
+      changes.push(change);
+      return;
+    }
+    
+    const entry = {
+      logicalResourceId: stackPath + resource.LogicalResourceId,
+      resourceType: resource.ResourceType,
+      action: resource.Action,
+      replacement: resource.Replacement || 'N/A'
+    };
+    
+    const resourceRules = rules.filter(rule => ignoreRuleMatchesResource(rule, resource));
+    const resourceRule = resourceRules.find(rule => !rule.matchesDetails);
+    if (resourceRule) {
+      suppressed.push({ ...entry, properties: [], partial: false, reason: describeIgnoreRule(resourceRule) });
+      return;
+    }
+    
+    const kept = [];
+    const matched = [];
+    (resource.Details || []).forEach(detail => {
+      const rule = resourceRules.find(candidate => ignoreRuleMatchesDetail(candidate, detail));
+      if (rule) {
+        matched.push({ detail, rule });
+      } else {
+        kept.push(detail);
+      }
+    });
+    
+    if (matched.length === 0) {
+      changes.push(change);
+      return;
+    }
+    
+    suppressed.push({
+      ...entry,
+      properties: [...new Set(matched.map(({ detail }) => detail.Target.Name || detail.Target.Attribute))],
+      partial: kept.length > 0,
+      reason: [...new Set(matched.map(({ rule }) => describeIgnoreRule(rule)))].join('; ')
+    });
+    
+    if (kept.length > 0) {
+      // Without the suppressed property changes the resource may no longer be replaced
+      const replacement = matched.some(({ detail }) => requiresRecreation(detail)) ?
+        replacementOfDetails(kept) :
+        resource.Replacement;
+      changes.push({ ...change, ResourceChange: { ...resource, Replacement: replacement, Details: kept } });
+    }
+  });
+  
+  const filtered = { ...changeset, Changes: changes };
+  
+  if (changeset.NestedChangeSets) {
+    filtered.NestedChangeSets = changeset.NestedChangeSets.map(nested => {
+      const result = suppressChanges(nested.changeset, rules, `${stackPath}${nested.logicalResourceId}/`);
+      suppressed.push(...result.suppressed);
+      return { ...nested, changeset: result.changeset };
+    });
+  }
+  
+  return { changeset: filtered, suppressed };
+}
+
+function requiresRecreation(detail) {
+  const recreation = detail.Target && detail.Target.RequiresRecreation;
+  return recreation === 'Always' || recreation === 'Conditionally';
+}
+
+/**
+ * Works out a resource change's Replacement from its property changes the way CloudFormation does:
+ * `True` when a property always requires recreation and is evaluated statically, `Conditional`
+ * when one may require it, `False` otherwise
+ */
+function replacementOfDetails(details) {
+  if (details.some(detail => detail.Target.RequiresRecreation === 'Always' && detail.Evaluation !== 'Dynamic')) return 'True';
+  return details.some(requiresRecreation) ? 'Conditional' : 'False';
+}
+
+function ignoreRuleMatchesResource(rule, resource) {
+  if (rule.logicalResourceId != null && !matchesAnyPattern(resource.LogicalResourceId, rule.logicalResourceId)) return false;
+  if (rule.resourceType != null && !matchesAnyPattern(resource.ResourceType, rule.resourceType)) return false;
+  if (rule.action != null && !matchesAnyPattern(resource.Action, rule.action)) return false;
+  return true;
+}
+
+/**
+ * `scope` matches the part of the resource that changed (Properties, Metadata, Tags, ...)
+ */
+function ignoreRuleMatchesDetail(rule, detail) {
+  if (!rule.matchesDetails) return false;
+  const target = detail.Target || {};
+  if (rule.scope != null && !matchesAnyPattern(target.Attribute, rule.scope)) return false;
+  if (rule.property != null && !matchesAnyPattern(target.Name, rule.property)) return false;
+  if (rule.changeSource != null && !matchesAnyPattern(detail.ChangeSource, rule.changeSource)) return false;
+  if (rule.evaluation != null && !matchesAnyPattern(detail.Evaluation, rule.evaluation)) return false;
+  return true;
+}
+
+/**
+ * Uses the rule's `reason` or `name` when it has one, otherwise lists its conditions
+ */
+function describeIgnoreRule(rule) {
+  if (rule.reason) return rule.reason;
+  const parts = [...IGNORE_RESOURCE_CONDITIONS, ...IGNORE_DETAIL_CONDITIONS]
+    .filter(key => rule[key] != null)
+    .map(key => `${key}=${[].concat(rule[key]).join('|')}`);
+  return `${rule.name || `Ignore rule ${rule.index}`} (${parts.join(', ')})`;
+}
+
+module.exports = {
+  describeSuppressedScope,
+  loadIgnoreRules,
+  suppressChanges
+};
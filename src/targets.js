@@ -0,0 +1,175 @@
+const core = require('@actions/core');
+
+const { CloudFormation } = require('@aws-sdk/client-cloudformation');
+const { STS } = require('@aws-sdk/client-sts');
+
+const {
+  splitList,
+  listAllPages,
+  readConfigDocument,
+  matchesAnyPattern,
+  extractStackName,
+  parseStackArn
+} = require('./utils');
+
+const ACTIVE_STACK_STATUSES = [
+  'CREATE_COMPLETE', 'UPDATE_COMPLETE', 'UPDATE_ROLLBACK_COMPLETE', 'ROLLBACK_COMPLETE',
+  'IMPORT_COMPLETE', 'IMPORT_ROLLBACK_COMPLETE', 'REVIEW_IN_PROGRESS', 'UPDATE_ROLLBACK_FAILED'
+];
+
+/**
+ * Splits the stack-name input into target specs
+ * Entries are separated by newlines or commas and may be `stack=changeset` pairs.
+ */
+function parseStackNameInput(stackNameInput, defaultChangesetName) {
+  return splitList(stackNameInput).map(entry => {
+    const separator = entry.indexOf('=');
+    return separator === -1 ?
+      { stack: entry, changeset: defaultChangesetName } :
+      { stack: entry.substring(0, separator).trim(), changeset: entry.substring(separator + 1).trim() };
+  });
+}
+
+const TARGET_FIELDS = ['stack', 'changeset', 'region', 'roleArn', 'externalId', 'sessionName'];
+
+/**
+ * Loads the targets input (or targets-file): a YAML list of stacks, each with its own
+ * changeset, region and role to assume
+ */
+function loadTargets(inlineTargets, targetsFile, defaultChangesetName) {
+  const document = readConfigDocument(inlineTargets, targetsFile, 'targets');
+  if (!document) return [];
+  
+  const { source, parsed } = document;
+  const targets = Array.isArray(parsed) ? parsed : (parsed && parsed.targets) || [];
+  if (!Array.isArray(targets)) {
+    throw new Error(`Invalid targets in ${source}: 'targets' must be a list`);
+  }
+  
+  return targets.map((target, i) => {
+    if (!target || typeof target !== 'object' || typeof target.stack !== 'string' || !target.stack.trim()) {
+      throw new Error(`Invalid targets in ${source}: target ${i + 1} must be a mapping with a stack`);
+    }
+    
+    const unknown = Object.keys(target).filter(key => !TARGET_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid targets in ${source}: target ${i + 1} has unknown field(s) ${unknown.join(', ')}, expected ${TARGET_FIELDS.join(', ')}`);
+    }
+    
+    return { ...target, stack: target.stack.trim(), changeset: target.changeset || defaultChangesetName };
+  });
+}
+
+/**
+ * Returns a function that gives the CloudFormation client for a target's region and role,
+ * creating one client per region and role
+ *
+ * Targets without a region use the one in their stack ARN, then aws-region. Targets with a
+ * `roleArn` assume it through STS, with their `externalId` and `sessionName`.
+ */
+function createClientFactory(defaultRegion) {
+  const clients = new Map();
+  
+  return ({ stack, region, roleArn, externalId, sessionName } = {}) => {
+    const clientRegion = region || parseStackArn(stack).region || defaultRegion;
+    const key = [clientRegion, roleArn, externalId, sessionName].join('|');
+    
+    if (!clients.has(key)) {
+      clients.set(key, new CloudFormation({
+        region: clientRegion,
+        ...(roleArn ? { credentials: assumeRoleCredentials({ region: clientRegion, roleArn, externalId, sessionName }) } : {})
+      }));
+    }
+    return { cloudformation: clients.get(key), region: clientRegion };
+  };
+}
+
+const DEFAULT_ROLE_SESSION_NAME = 'cfn-changeset-reporter';
+
+// Assumed role credentials are renewed this long before they expire
+const CREDENTIALS_REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Creates a credentials provider that assumes the role with the ambient credentials,
+ * reusing the credentials until they're about to expire
+ */
+function assumeRoleCredentials({ region, roleArn, externalId, sessionName }) {
+  const sts = new STS({ region });
+  let credentials;
+  
+  return async () => {
+    if (!credentials || new Date(credentials.expiration) - Date.now() < CREDENTIALS_REFRESH_MARGIN) {
+      core.debug(`Assuming role ${roleArn} in ${region}`);
+      try {
+        const { Credentials } = await sts.assumeRole({
+          RoleArn: roleArn,
+          RoleSessionName: sessionName || DEFAULT_ROLE_SESSION_NAME,
+          ...(externalId ? { ExternalId: externalId } : {})
+        });
+        credentials = {
+          accessKeyId: Credentials.AccessKeyId,
+          secretAccessKey: Credentials.SecretAccessKey,
+          sessionToken: Credentials.SessionToken,
+          expiration: Credentials.Expiration
+        };
+      } catch (error) {
+        throw new Error(`Unable to assume role ${roleArn}: ${error.message}`);
+      }
+    }
+    return credentials;
+  };
+}
+
+/**
+ * Expands the target specs from the stack-name and targets inputs into the list of stacks to report on
+ * Specs whose stack contains `*` or `?` are matched against the names of the active stacks in
+ * their region and account. Each target carries the CloudFormation client to reach it with.
+ */
+async function resolveStackTargets(clientFor, specs) {
+  const targets = [];
+  const activeStacks = new Map();
+  
+  for (const spec of specs) {
+    const { cloudformation, region } = clientFor(spec);
+    const target = {
+      changesetName: spec.changeset,
+      cloudformation,
+      region,
+      accountId: parseStackArn(spec.stack).accountId || '',
+      roleArn: spec.roleArn
+    };
+    
+    if (/[*?]/.test(spec.stack)) {
+      if (!activeStacks.has(cloudformation)) {
+        const stackSummaries = await listAllPages(
+          params => cloudformation.listStacks(params),
+          { StackStatusFilter: ACTIVE_STACK_STATUSES },
+          'StackSummaries'
+        );
+        activeStacks.set(cloudformation, stackSummaries.map(summary => summary.StackName));
+      }
+      
+      const matches = activeStacks.get(cloudformation).filter(name => matchesAnyPattern(name, spec.stack));
+      core.debug(`Pattern ${spec.stack} matched ${matches.length} stack(s) in ${region}`);
+      matches.forEach(name => targets.push({ ...target, rawStackName: name }));
+    } else {
+      targets.push({ ...target, rawStackName: spec.stack });
+    }
+  }
+  
+  // The same stack can be listed explicitly and matched by a pattern, only report on it once
+  const seen = new Set();
+  return targets.filter(target => {
+    const key = [extractStackName(target.rawStackName), target.region, target.accountId || target.roleArn || ''].join(' ');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  parseStackNameInput,
+  loadTargets,
+  createClientFactory,
+  resolveStackTargets
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const core = require('@actions/core');
+const YAML = require('yaml');
+
+/**
+ * Splits a newline or comma separated list input
+ */
+function splitList(value) {
+  return (value || '')
+    .split(/[\n,]/)
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Resolves a path input relative to the workspace the repository was checked out in
+ */
+function resolveWorkspacePath(file) {
+  return path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), file.trim());
+}
+
+/**
+ * Parses a number-of-seconds input, falling back to the default when it is empty
+ */
+function parseSeconds(value, inputName, defaultValue) {
+  if (!value || !value.trim()) return defaultValue;
+  
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Input ${inputName} must be a number of seconds, got '${value}'`);
+  }
+  return seconds;
+}
+
+/**
+ * Resolves after the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls a paginated AWS API until NextToken runs out and returns the items from every page
+ */
+async function listAllPages(fetchPage, params, itemsKey) {
+  const items = [];
+  let nextToken;
+  
+  do {
+    const page = await fetchPage(nextToken ? { ...params, NextToken: nextToken } : params);
+    items.push(...(page[itemsKey] || []));
+    nextToken = page.NextToken;
+  } while (nextToken);
+  
+  return items;
+}
+
+/**
+ * Checks whether the stacks are in more than one account or region, so the totals need to tell them apart
+ */
+function spansSeveralLocations(results) {
+  return new Set(results.map(result => result.location || '')).size > 1;
+}
+
+/**
+ * Reads a YAML (or JSON) configuration from an inline input, falling back to a file in the workspace
+ * Returns null when neither is set
+ */
+function readConfigDocument(inlineContent, file, kind) {
+  let source;
+  let content;
+  
+  if (inlineContent && inlineContent.trim()) {
+    source = `${kind} input`;
+    content = inlineContent;
+  } else if (file && file.trim()) {
+    const filePath = resolveWorkspacePath(file);
+    source = filePath;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (readError) {
+      throw new Error(`Unable to read ${kind} file ${filePath}: ${readError.message}`);
+    }
+  } else {
+    return null;
+  }
+  
+  try {
+    return { source, parsed: YAML.parse(content) };
+  } catch (parseError) {
+    throw new Error(`Invalid ${kind} in ${source}: ${parseError.message}`);
+  }
+}
+
+/**
+ * Case-insensitive glob match supporting `*` and `?` wildcards
+ * YAML turns unquoted True/False into booleans, so patterns are converted to strings first
+ */
+function matchesAnyPattern(value, patterns) {
+  return [].concat(patterns).some(pattern => {
+    const escaped = String(pattern)
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i').test(String(value || ''));
+  });
+}
+
+/**
+ * Wraps a value in a markdown code span that survives backticks inside the value
+ */
+function inlineCode(value) {
+  const fence = '`'.repeat(longestBacktickRun(value) + 1);
+  const padding = value.startsWith('`') || value.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${value}${padding}${fence}`;
+}
+
+/**
+ * Length of the longest run of backticks in the text, used to pick a fence that can't be closed early
+ */
+function longestBacktickRun(text) {
+  return (text.match(/`+/g) || []).reduce((longest, run) => Math.max(longest, run.length), 0);
+}
+
+/**
+ * Helper function to extract just the stack name from an ARN or return the input if it's just a name
+ * ARN format: arn:aws:cloudformation:region:account-id:stack/stack-name/unique-id
+ */
+function extractStackName(stackNameOrArn) {
+  if (!stackNameOrArn) return '';
+  
+  // Check if it's an ARN
+  if (stackNameOrArn.startsWith('arn:aws:cloudformation:')) {
+    // Extract the stack name from ARN format
+    const stackPart = stackNameOrArn.split(':stack/')[1];
+    if (stackPart) {
+      return stackPart.split('/')[0]; // Get just the stack name part
+    }
+  }
+  
+  // If not an ARN or parsing failed, return as is
+  return stackNameOrArn;
+}
+
+/**
+ * Helper function to extract the region and account ID from a stack ARN
+ * Returns an empty object for anything that isn't a stack ARN
+ */
+function parseStackArn(stackArn) {
+  const match = /^arn:[^:]+:cloudformation:([^:]*):([^:]*):stack\//.exec(stackArn || '');
+  return match ? { region: match[1], accountId: match[2] } : {};
+}
+
+/**
+ * Helper function to log the report to console line by line
+ */
+function logReport(report) {
+  const reportLines = report.split('\n');
+  reportLines.forEach(line => {
+    core.info(line);
+  });
+}
+
+module.exports = {
+  splitList,
+  resolveWorkspacePath,
+  parseSeconds,
+  sleep,
+  listAllPages,
+  spansSeveralLocations,
+  readConfigDocument,
+  matchesAnyPattern,
+  inlineCode,
+  longestBacktickRun,
+  extractStackName,
+  parseStackArn,
+  logReport
+};
@@ -0,0 +1,190 @@
+const { inlineCode, longestBacktickRun } = require('./utils');
+
+const REDACTED_VALUE = '****';
+
+/**
+ * Finds the property paths whose values must be redacted because they come from NoEcho parameters
+ * CloudFormation masks NoEcho parameter values as `****` in the changeset, which is how they're recognized.
+ * Returns a set of `LogicalResourceId:path` keys, so every detail for the same property is redacted.
+ */
+function findRedactedPaths(changeset) {
+  const noEchoParameters = new Set(
+    (changeset.Parameters || [])
+      .filter(parameter => parameter.ParameterValue === REDACTED_VALUE)
+      .map(parameter => parameter.ParameterKey)
+  );
+  
+  const redactedPaths = new Set();
+  (changeset.Changes || []).forEach(change => {
+    const resource = change.ResourceChange;
+    if (!resource || !resource.Details) return;
+    
+    resource.Details.forEach(detail => {
+      const fromNoEcho = detail.ChangeSource === 'ParameterReference' && noEchoParameters.has(detail.CausingEntity);
+      const masked = [detail.Target.BeforeValue, detail.Target.AfterValue]
+        .some(value => typeof value === 'string' && value.includes(REDACTED_VALUE));
+      
+      if (fromNoEcho || masked) {
+        redactedPaths.add(propertyKey(resource, detail));
+      }
+    });
+  });
+  
+  return redactedPaths;
+}
+
+/**
+ * Identifies a property of a resource, for matching details that change the same property
+ */
+function propertyKey(resource, detail) {
+  return `${resource.LogicalResourceId}:${detail.Target.Path || detail.Target.Name}`;
+}
+
+/**
+ * Works out how a property's before and after values should be shown
+ * Returns null when the changeset has no values for the property (it wasn't described with property values)
+ */
+function describeValueChange(resource, detail, redactedPaths) {
+  const target = detail.Target || {};
+  if (target.BeforeValue === undefined && target.AfterValue === undefined) return null;
+  
+  if (redactedPaths.has(propertyKey(resource, detail))) {
+    return { kind: 'redacted' };
+  }
+  
+  const before = target.BeforeValue === undefined || target.AttributeChangeType === 'Add' ? null : prettyValue(target.BeforeValue);
+  const after = target.AfterValue === undefined || target.AttributeChangeType === 'Remove' ? null : prettyValue(target.AfterValue);
+  
+  // Multi-line values such as policy documents are shown as a line diff
+  if ((before && before.includes('\n')) || (after && after.includes('\n'))) {
+    return { kind: 'diff', lines: diffLines(before || '', after || '') };
+  }
+  
+  return { kind: 'inline', before, after };
+}
+
+/**
+ * Formats a property's before and after values for the console report
+ */
+function formatValueChangeText(resource, detail, redactedPaths, display) {
+  const { paint } = display;
+  const change = describeValueChange(resource, detail, redactedPaths);
+  const indent = '         ';
+  if (!change) return '';
+  
+  if (change.kind === 'redacted') {
+    return `${indent}${paint('muted', '(value redacted: NoEcho parameter)')}\n`;
+  }
+  
+  if (change.kind === 'diff') {
+    return change.lines.map(line => {
+      if (line.startsWith('-')) return `${indent}${paint('before', line)}\n`;
+      if (line.startsWith('+')) return `${indent}${paint('after', line)}\n`;
+      return `${indent}${paint('muted', line)}\n`;
+    }).join('');
+  }
+  
+  const before = change.before === null ? paint('muted', '(none)') : paint('before', change.before);
+  const after = change.after === null ? paint('muted', '(removed)') : paint('after', change.after);
+  return `${indent}${before} → ${after}\n`;
+}
+
+/**
+ * Formats a property's before and after values for the PR comment, nested under the property's list item
+ */
+function formatValueChangeMarkdown(resource, detail, redactedPaths) {
+  const change = describeValueChange(resource, detail, redactedPaths);
+  const indent = '    ';
+  if (!change) return '';
+  
+  if (change.kind === 'redacted') {
+    return `${indent}_(value redacted: NoEcho parameter)_\n`;
+  }
+  
+  if (change.kind === 'diff') {
+    const fence = '`'.repeat(Math.max(3, longestBacktickRun(change.lines.join('\n')) + 1));
+    return `${indent}${fence}diff\n${change.lines.map(line => `${indent}${line}`).join('\n')}\n${indent}${fence}\n`;
+  }
+  
+  const before = change.before === null ? '_(none)_' : inlineCode(change.before);
+  const after = change.after === null ? '_(removed)_' : inlineCode(change.after);
+  return `${indent}${before} → ${after}\n`;
+}
+
+/**
+ * Pretty-prints JSON values so structured properties can be diffed line by line
+ */
+function prettyValue(value) {
+  const text = String(value);
+  if (!/^\s*[[{]/.test(text)) return text;
+  
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (parseError) {
+    // Truncated or non-JSON values are shown as they are
+    return text;
+  }
+}
+
+const MAX_DIFF_LINES = 40;
+
+/**
+ * Produces a unified-style line diff with a few lines of context around each change
+ * Long diffs are cut off after MAX_DIFF_LINES lines
+ */
+function diffLines(beforeText, afterText) {
+  const before = beforeText ? beforeText.split('\n') : [];
+  const after = afterText ? afterText.split('\n') : [];
+  
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      ops.push(`  ${before[i]}`);
+      i++;
+      j++;
+    } else if (i < before.length && (j >= after.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(`- ${before[i]}`);
+      i++;
+    } else {
+      ops.push(`+ ${after[j]}`);
+      j++;
+    }
+  }
+  
+  // Keep only the changed lines and their context, marking skipped stretches
+  const context = 2;
+  const keep = ops.map((op, index) => 
+    ops.slice(Math.max(0, index - context), index + context + 1).some(nearby => !nearby.startsWith(' '))
+  );
+  
+  const lines = [];
+  ops.forEach((op, index) => {
+    if (keep[index]) {
+      lines.push(op);
+    } else if (index === 0 || keep[index - 1]) {
+      lines.push('  …');
+    }
+  });
+  
+  if (lines.length > MAX_DIFF_LINES) {
+    return [...lines.slice(0, MAX_DIFF_LINES), `  … ${lines.length - MAX_DIFF_LINES} more lines`];
+  }
+  return lines;
+}
+
+module.exports = {
+  REDACTED_VALUE,
+  findRedactedPaths,
+  formatValueChangeText,
+  formatValueChangeMarkdown
+};